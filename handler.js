@@ -1,5 +1,11 @@
 import serverless from 'serverless-http';
-import { app } from './server.js';
+import { app, runDueReports } from './server.js';
 
 // Export the serverless handler
-export const handler = serverless(app); 
\ No newline at end of file
+export const handler = serverless(app); 
+
+// Scheduled entry point: runs every report whose schedule is due
+export const scheduledReports = async () => {
+  const ran = await runDueReports();
+  return { ran };
+};
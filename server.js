@@ -9,7 +9,15 @@ import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
 import awsServerlessExpress from 'aws-serverless-express';
-import { Pool } from 'pg';
+import ExcelJS from 'exceljs';
+import { CronExpressionParser } from 'cron-parser';
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import jwt from 'jsonwebtoken';
 
 dotenv.config();
 
@@ -31,6 +39,79 @@ const AI_API_URL = process.env.OPENROUTER_API_URL || 'https://openrouter.ai/api/
 const AI_API_KEY = process.env.OPENROUTER_API_KEY;
 const MISTRAL_MODEL = process.env.MISTRAL_MODEL || 'mistralai/mistral-7b-instruct';
 
+// LLM provider configuration: openrouter (default), openai_compatible or mock
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openrouter';
+const LLM_BASE_URL = process.env.LLM_BASE_URL; // e.g. http://localhost:11434/v1/chat/completions
+const LLM_API_KEY = process.env.LLM_API_KEY;
+const LLM_MOCK_SCRIPT = process.env.LLM_MOCK_SCRIPT;
+const LLM_TIMEOUT_MS = process.env.LLM_TIMEOUT_MS ? parseInt(process.env.LLM_TIMEOUT_MS) : 20000;
+const LLM_STEP_MODELS = {
+  tables: process.env.LLM_MODEL_TABLES,
+  sql: process.env.LLM_MODEL_SQL,
+  repair: process.env.LLM_MODEL_REPAIR || process.env.LLM_MODEL_SQL,
+  answer: process.env.LLM_MODEL_ANSWER
+};
+// Models a request may pick with llm.models (comma-separated); admins may pick any
+const LLM_ALLOWED_MODELS = (process.env.LLM_ALLOWED_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+// Let non-admin requests switch to the mock provider and script it (test deployments only)
+const LLM_ALLOW_REQUEST_MOCK = process.env.LLM_ALLOW_REQUEST_MOCK === 'true';
+
+// Schema cache configuration
+const SCHEMA_CACHE_TTL_MS = process.env.SCHEMA_CACHE_TTL_MS ? parseInt(process.env.SCHEMA_CACHE_TTL_MS) : 10 * 60 * 1000;
+const SCHEMA_CACHE_MONGO = process.env.SCHEMA_CACHE_MONGO === 'true';
+const SCHEMA_SAMPLE_ROWS = 5;
+const SCHEMA_SAMPLE_MAX_ROWS = 50;
+
+// Table retrieval configuration
+const TABLE_RETRIEVAL_PROMPT_LIMIT = process.env.TABLE_RETRIEVAL_PROMPT_LIMIT ? parseInt(process.env.TABLE_RETRIEVAL_PROMPT_LIMIT) : 30;
+const TABLE_RETRIEVAL_DIRECT_RATIO = process.env.TABLE_RETRIEVAL_DIRECT_RATIO ? parseFloat(process.env.TABLE_RETRIEVAL_DIRECT_RATIO) : 3;
+const TABLE_RETRIEVAL_FALLBACK_LIMIT = 3;
+const TABLE_RETRIEVAL_RELATIVE_CUTOFF = 0.5;
+
+// SQL sandbox configuration
+const SQL_STATEMENT_TIMEOUT_MS = process.env.SQL_STATEMENT_TIMEOUT_MS ? parseInt(process.env.SQL_STATEMENT_TIMEOUT_MS) : 10000;
+const SQL_MAX_ROWS = process.env.SQL_MAX_ROWS ? parseInt(process.env.SQL_MAX_ROWS) : 1000;
+const SQL_MAX_REPAIR_ATTEMPTS = process.env.SQL_MAX_REPAIR_ATTEMPTS ? parseInt(process.env.SQL_MAX_REPAIR_ATTEMPTS) : 2;
+
+// Result paging configuration
+const RESULT_PAGE_SIZE = process.env.RESULT_PAGE_SIZE ? parseInt(process.env.RESULT_PAGE_SIZE) : 100;
+const RESULT_MAX_PAGE_SIZE = 1000;
+const QUERY_RESULT_CACHE_SIZE = 500;
+// /ask keeps result rows up to this JSON size on the result record, so chart follow-ups can re-render them
+const RESULT_STORED_ROWS_MAX_BYTES = process.env.RESULT_STORED_ROWS_MAX_BYTES ? parseInt(process.env.RESULT_STORED_ROWS_MAX_BYTES) : 262144;
+const RESULT_EXPORT_MAX_ROWS = process.env.RESULT_EXPORT_MAX_ROWS ? parseInt(process.env.RESULT_EXPORT_MAX_ROWS) : 100000;
+const RESULT_EXPORT_BATCH_SIZE = 1000;
+
+// Audit log configuration
+const AUDIT_RETENTION_DAYS = process.env.AUDIT_RETENTION_DAYS ? parseInt(process.env.AUDIT_RETENTION_DAYS) : 0;
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 500;
+
+// Report scheduler configuration
+const REPORT_SCHEDULER_ENABLED = process.env.REPORT_SCHEDULER_ENABLED !== 'false';
+const REPORT_SCHEDULER_INTERVAL_MS = process.env.REPORT_SCHEDULER_INTERVAL_MS ? parseInt(process.env.REPORT_SCHEDULER_INTERVAL_MS) : 60000;
+const REPORT_WEBHOOK_TIMEOUT_MS = process.env.REPORT_WEBHOOK_TIMEOUT_MS ? parseInt(process.env.REPORT_WEBHOOK_TIMEOUT_MS) : 10000;
+const REPORT_WEBHOOK_SECRET = process.env.REPORT_WEBHOOK_SECRET;
+// Comma-separated host patterns (`*` wildcards) webhooks may call; empty allows any public host
+const REPORT_WEBHOOK_ALLOWED_HOSTS = (process.env.REPORT_WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim()).filter(Boolean);
+// Base URL used in report share links (defaults to the requesting host)
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL;
+
+// Authentication configuration (enabled as soon as API keys or a JWT key are configured)
+const AUTH_API_KEYS = process.env.AUTH_API_KEYS; // JSON: [{ "key" | "key_sha256", "user_id", "role" }]
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET; // HS256
+const AUTH_JWT_PUBLIC_KEY = process.env.AUTH_JWT_PUBLIC_KEY; // RS256, PEM
+const AUTH_JWKS_FILE = process.env.AUTH_JWKS_FILE; // RS256, JWKS file with keys selected by kid
+const AUTH_JWT_ISSUER = process.env.AUTH_JWT_ISSUER;
+const AUTH_JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE;
+const AUTH_JWT_USER_CLAIM = process.env.AUTH_JWT_USER_CLAIM || 'sub';
+const AUTH_JWT_ROLE_CLAIM = process.env.AUTH_JWT_ROLE_CLAIM || 'role';
+const AUTH_ADMIN_ROLE = process.env.AUTH_ADMIN_ROLE || 'admin';
+const AUTH_ENABLED = process.env.AUTH_ENABLED
+  ? process.env.AUTH_ENABLED === 'true'
+  : Boolean(AUTH_API_KEYS || AUTH_JWT_SECRET || AUTH_JWT_PUBLIC_KEY || AUTH_JWKS_FILE);
+
 // PostgreSQL configuration
 const POSTGRES_HOST = process.env.POSTGRES_HOST || 'aws-0-ap-southeast-1.pooler.supabase.com';
 const POSTGRES_PORT = process.env.POSTGRES_PORT ? parseInt(process.env.POSTGRES_PORT) : 6543;
@@ -38,6 +119,18 @@ const POSTGRES_DATABASE = process.env.POSTGRES_DATABASE || 'postgres';
 const POSTGRES_USER = process.env.POSTGRES_USER || 'postgres.zxfkihyydepmtnoejdyv';
 const POSTGRES_PASSWORD = process.env.POSTGRES_PASSWORD || '0AuajXTTE6hRUqRY';
 const POSTGRES_POOL_MODE = process.env.POSTGRES_POOL_MODE || 'transaction';
+// Schemas (comma-separated) and relation kinds exposed on the default connection
+const POSTGRES_SCHEMAS = process.env.POSTGRES_SCHEMAS ? process.env.POSTGRES_SCHEMAS.split(',').map(schema => schema.trim()).filter(Boolean) : undefined;
+const POSTGRES_INCLUDE_VIEWS = process.env.POSTGRES_INCLUDE_VIEWS === 'true';
+const POSTGRES_INCLUDE_MATERIALIZED_VIEWS = process.env.POSTGRES_INCLUDE_MATERIALIZED_VIEWS === 'true';
+// Data access policy of the default connection (JSON, see Data Access Policies)
+const POSTGRES_POLICY = process.env.POSTGRES_POLICY;
+
+// Registered connection configuration
+// Key for the passwords of registered connections stored in db_connections (AES-256-GCM, any long random string)
+const CONNECTION_SECRET_KEY = process.env.CONNECTION_SECRET_KEY;
+// Directory SQLite files must be inside; without it only admins may register SQLite connections
+const SQLITE_ALLOWED_DIR = process.env.SQLITE_ALLOWED_DIR;
 
 // MongoDB connection
 let mongoClient = null;
@@ -47,11 +140,10 @@ let reportsCollection = null;
 
 // Knex connection
 let knexInstance = null;
-let dbConnection = null;
-let dbCredentials = null;
 
-// Global variables
-let chatHistory = [];
+// User-supplied database connections, keyed by connection_id
+const connectionRegistry = new Map();
+const DEFAULT_CONNECTION_ID = 'default';
 
 /** === Mongo Setup (on-demand, cached) === **/
 let cachedMongoClient = null;
@@ -78,10 +170,426 @@ function buildPgConnectionString({ host, port, database, user, password, pool_mo
   return `postgresql://${encodeURIComponent(user)}:${encodeURIComponent(password)}@${host}:${port}/${database}?pool_mode=${pool_mode}`;
 }
 
+/** === SQL Dialects === **/
+// Everything that differs between database engines lives here: the knex client,
+// schema introspection queries, how raw results are shaped, and the SQL rules
+// given to the model.
+const DIALECTS = {
+  postgres: {
+    name: 'postgres',
+    label: 'PostgreSQL',
+    client: 'pg',
+    defaultPort: 5432,
+    protocols: ['postgres:', 'postgresql:'],
+    quoteIdentifier: name => `"${String(name).replace(/"/g, '""')}"`,
+    // knex rewrites "?" into positional parameters for pg, so literal ones must be escaped
+    toRawSql: sql => sql.replace(/\?/g, '\\?'),
+    rowsFromResult: result => result.rows,
+    currentSchemaSql: 'current_schema()',
+    listTablesSql: `
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_schema = 'public'
+      AND table_type = 'BASE TABLE'
+      ORDER BY table_name
+    `,
+    listColumnsSql: `
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_schema = 'public'
+      AND table_name = ?
+      ORDER BY ordinal_position
+    `,
+    // Planner statistics; -1 until the table has been analyzed
+    rowEstimateSql: `
+      SELECT c.reltuples::bigint AS estimate
+      FROM pg_catalog.pg_class c
+      JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = ?
+      AND c.relname = ?
+    `,
+    limitQuery: (columnList, tableRef, limit) => `SELECT ${columnList} FROM ${tableRef} LIMIT ${limit};`,
+    introspect: introspectPostgres,
+    // Sandbox: read-only transaction, SET LOCAL timeout, row cap by wrapping the statement
+    readOnlyTransaction: true,
+    canCancel: true,
+    lexer: { dollarQuotes: true, bracketIdentifiers: false, backslashEscapes: false },
+    beginSandbox: async (trx, { timeoutMs }) => {
+      await trx.raw(`SET LOCAL statement_timeout = ${timeoutMs}`);
+    },
+    endSandbox: async () => {},
+    applyRowLimit: (statement, limit) => `SELECT * FROM (\n${statement}\n) AS askbase_guarded LIMIT ${limit}`,
+    pageQuery: (statement, limit, offset) => `SELECT * FROM (\n${statement}\n) AS askbase_page LIMIT ${limit} OFFSET ${offset}`,
+    classifyError: error => {
+      if (error.code === '57014') return 'statement_timeout';
+      if (error.code === '25006') return 'read_only_violation';
+      return null;
+    },
+    promptRules: `1. Use PostgreSQL syntax:
+   - Use double quotes (") for identifiers, NOT backticks (\`)
+   - Use single quotes (') for string literals
+   - Use CURRENT_TIMESTAMP instead of NOW()
+   - Use DATE_TRUNC('month', "orders"."created_at") and INTERVAL '7 days' for date arithmetic
+2. ALWAYS qualify column names with table names to avoid ambiguity:
+   - Use "users"."id" instead of just "id"
+   - Use "orders"."total_amount" instead of just "total_amount"
+   - Give selected columns that share a name distinct aliases: "orders"."id" AS "order_id"
+3. NEVER use window functions (ROW_NUMBER(), RANK(), etc.) in WHERE clauses
+4. Keep queries simple - avoid complex nested subqueries
+5. End with an ORDER BY that fixes the row order: finish it with a unique key (the primary key, or the GROUP BY columns) so results can be paged`
+  },
+  mysql: {
+    name: 'mysql',
+    label: 'MySQL',
+    client: 'mysql2',
+    defaultPort: 3306,
+    protocols: ['mysql:', 'mariadb:'],
+    quoteIdentifier: name => `\`${String(name).replace(/`/g, '``')}\``,
+    toRawSql: sql => sql,
+    rowsFromResult: result => result[0],
+    currentSchemaSql: 'DATABASE()',
+    listTablesSql: `
+      SELECT table_name AS table_name
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE()
+      AND table_type = 'BASE TABLE'
+      ORDER BY table_name
+    `,
+    listColumnsSql: `
+      SELECT column_name AS column_name, data_type AS data_type, is_nullable AS is_nullable
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE()
+      AND table_name = ?
+      ORDER BY ordinal_position
+    `,
+    rowEstimateSql: `
+      SELECT table_rows AS estimate
+      FROM information_schema.tables
+      WHERE table_schema = ?
+      AND table_name = ?
+    `,
+    limitQuery: (columnList, tableRef, limit) => `SELECT ${columnList} FROM ${tableRef} LIMIT ${limit};`,
+    introspect: introspectMySQL,
+    // Sandbox: read-only transaction, session-level timeout and sql_select_limit row cap
+    readOnlyTransaction: true,
+    canCancel: true,
+    lexer: { dollarQuotes: false, bracketIdentifiers: false, backslashEscapes: true },
+    beginSandbox: async (trx, { timeoutMs, rowLimit }) => {
+      await trx.raw(`SET SESSION max_execution_time = ${timeoutMs}, sql_select_limit = ${rowLimit}`);
+    },
+    endSandbox: async trx => {
+      await trx.raw('SET SESSION max_execution_time = DEFAULT, sql_select_limit = DEFAULT');
+    },
+    applyRowLimit: statement => statement,
+    pageQuery: (statement, limit, offset) => `SELECT * FROM (\n${statement}\n) AS askbase_page LIMIT ${limit} OFFSET ${offset}`,
+    classifyError: error => {
+      if (error.errno === 3024) return 'statement_timeout';
+      if (error.errno === 1792) return 'read_only_violation';
+      return null;
+    },
+    promptRules: `1. Use MySQL syntax:
+   - Use backticks (\`) for identifiers, NOT double quotes (")
+   - Use single quotes (') for string literals
+   - Use NOW() or CURDATE() for the current time/date
+   - Use DATE_FORMAT(\`orders\`.\`created_at\`, '%Y-%m') and DATE_SUB(CURDATE(), INTERVAL 7 DAY) for date arithmetic
+2. ALWAYS qualify column names with table names to avoid ambiguity:
+   - Use \`users\`.\`id\` instead of just \`id\`
+   - Use \`orders\`.\`total_amount\` instead of just \`total_amount\`
+   - Give selected columns that share a name distinct aliases: \`orders\`.\`id\` AS \`order_id\`
+3. NEVER use window functions (ROW_NUMBER(), RANK(), etc.) in WHERE clauses
+4. Keep queries simple - avoid complex nested subqueries
+5. End with an ORDER BY that fixes the row order: finish it with a unique key (the primary key, or the GROUP BY columns) so results can be paged`
+  },
+  sqlite: {
+    name: 'sqlite',
+    label: 'SQLite',
+    client: 'sqlite3',
+    defaultPort: null,
+    protocols: ['sqlite:'],
+    quoteIdentifier: name => `"${String(name).replace(/"/g, '""')}"`,
+    toRawSql: sql => sql,
+    rowsFromResult: result => result,
+    currentSchemaSql: "'main'",
+    listTablesSql: `
+      SELECT name AS table_name
+      FROM sqlite_master
+      WHERE type = 'table'
+      AND name NOT LIKE 'sqlite_%'
+      ORDER BY name
+    `,
+    listColumnsSql: `
+      SELECT name AS column_name, type AS data_type,
+        CASE WHEN "notnull" = 0 THEN 'YES' ELSE 'NO' END AS is_nullable
+      FROM pragma_table_info(?)
+      ORDER BY cid
+    `,
+    // SQLite keeps no row statistics, so tables are counted
+    rowEstimateSql: null,
+    limitQuery: (columnList, tableRef, limit) => `SELECT ${columnList} FROM ${tableRef} LIMIT ${limit};`,
+    introspect: introspectSQLite,
+    // Sandbox: query_only pragma instead of read-only transactions, row cap by wrapping the statement
+    readOnlyTransaction: false,
+    canCancel: false,
+    lexer: { dollarQuotes: false, bracketIdentifiers: true, backslashEscapes: false },
+    beginSandbox: async trx => {
+      await trx.raw('PRAGMA query_only = ON');
+    },
+    endSandbox: async trx => {
+      await trx.raw('PRAGMA query_only = OFF');
+    },
+    applyRowLimit: (statement, limit) => `SELECT * FROM (\n${statement}\n) AS askbase_guarded LIMIT ${limit}`,
+    pageQuery: (statement, limit, offset) => `SELECT * FROM (\n${statement}\n) AS askbase_page LIMIT ${limit} OFFSET ${offset}`,
+    classifyError: error => {
+      if (error.code === 'SQLITE_READONLY') return 'read_only_violation';
+      if (error.code === 'SQLITE_INTERRUPT') return 'statement_timeout';
+      return null;
+    },
+    promptRules: `1. Use SQLite syntax:
+   - Use double quotes (") for identifiers, NOT backticks (\`)
+   - Use single quotes (') for string literals
+   - Use date('now') / datetime('now') for the current date/time
+   - Use strftime('%Y-%m', "orders"."created_at") and date('now', '-7 days') for date arithmetic
+   - There is no DATE_TRUNC, INTERVAL, ILIKE or RIGHT/FULL JOIN
+2. ALWAYS qualify column names with table names to avoid ambiguity:
+   - Use "users"."id" instead of just "id"
+   - Use "orders"."total_amount" instead of just "total_amount"
+   - Give selected columns that share a name distinct aliases: "orders"."id" AS "order_id"
+3. NEVER use window functions (ROW_NUMBER(), RANK(), etc.) in WHERE clauses
+4. Keep queries simple - avoid complex nested subqueries
+5. End with an ORDER BY that fixes the row order: finish it with a unique key (the primary key, or the GROUP BY columns) so results can be paged`
+  },
+  mssql: {
+    name: 'mssql',
+    label: 'Microsoft SQL Server',
+    client: 'mssql',
+    defaultPort: 1433,
+    protocols: ['mssql:', 'sqlserver:'],
+    quoteIdentifier: name => `[${String(name).replace(/]/g, ']]')}]`,
+    // knex rewrites "?" into @p parameters for mssql, so literal ones must be escaped
+    toRawSql: sql => sql.replace(/\?/g, '\\?'),
+    rowsFromResult: result => result,
+    currentSchemaSql: 'SCHEMA_NAME()',
+    listTablesSql: `
+      SELECT TABLE_NAME AS table_name
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = SCHEMA_NAME()
+      AND TABLE_TYPE = 'BASE TABLE'
+      ORDER BY TABLE_NAME
+    `,
+    listColumnsSql: `
+      SELECT COLUMN_NAME AS column_name, DATA_TYPE AS data_type, IS_NULLABLE AS is_nullable
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = SCHEMA_NAME()
+      AND TABLE_NAME = ?
+      ORDER BY ORDINAL_POSITION
+    `,
+    rowEstimateSql: `
+      SELECT SUM(p.rows) AS estimate
+      FROM sys.partitions p
+      JOIN sys.tables t ON t.object_id = p.object_id
+      WHERE SCHEMA_NAME(t.schema_id) = ?
+      AND t.name = ?
+      AND p.index_id IN (0, 1)
+    `,
+    limitQuery: (columnList, tableRef, limit) => `SELECT TOP ${limit} ${columnList} FROM ${tableRef};`,
+    introspect: introspectMSSQL,
+    // Sandbox: T-SQL has no read-only transactions, so the transaction is always rolled back;
+    // the timeout is the driver requestTimeout and SET ROWCOUNT caps rows
+    readOnlyTransaction: false,
+    canCancel: false,
+    lexer: { dollarQuotes: false, bracketIdentifiers: true, backslashEscapes: false },
+    beginSandbox: async (trx, { rowLimit }) => {
+      await trx.raw(`SET ROWCOUNT ${rowLimit}`);
+    },
+    endSandbox: async trx => {
+      await trx.raw('SET ROWCOUNT 0');
+    },
+    applyRowLimit: statement => statement,
+    // Derived tables cannot keep an ORDER BY in T-SQL, so pages use the statement's own ORDER BY
+    pageQuery: (statement, limit, offset) => offsetFetchPageQuery(statement, limit, offset),
+    classifyError: error => {
+      if (error.code === 'ETIMEOUT') return 'statement_timeout';
+      return null;
+    },
+    promptRules: `1. Use Microsoft SQL Server (T-SQL) syntax:
+   - Use square brackets ([ ]) for identifiers, NOT backticks (\`) or double quotes
+   - Use single quotes (') for string literals
+   - Use SELECT TOP n instead of LIMIT when the question asks for a number of rows - LIMIT does not exist in T-SQL
+   - Use GETDATE() for the current time, DATEADD(day, -7, GETDATE()) and FORMAT([orders].[created_at], 'yyyy-MM') for date arithmetic
+2. ALWAYS qualify column names with table names to avoid ambiguity:
+   - Use [users].[id] instead of just [id]
+   - Use [orders].[total_amount] instead of just [total_amount]
+   - Give selected columns that share a name distinct aliases: [orders].[id] AS [order_id]
+3. NEVER use window functions (ROW_NUMBER(), RANK(), etc.) in WHERE clauses
+4. Keep queries simple - avoid complex nested subqueries
+5. End with an ORDER BY that fixes the row order: finish it with a unique key (the primary key, or the GROUP BY columns) so results can be paged`
+  }
+};
+
+const DIALECT_ALIASES = {
+  postgres: 'postgres',
+  postgresql: 'postgres',
+  pg: 'postgres',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  sqlite: 'sqlite',
+  sqlite3: 'sqlite',
+  mssql: 'mssql',
+  sqlserver: 'mssql'
+};
+
+function resolveDialect(name) {
+  const key = DIALECT_ALIASES[String(name || 'postgres').toLowerCase()];
+  return key ? DIALECTS[key] : null;
+}
+
+// Fallback query used when the model is unavailable
+function buildFallbackSQL(relevantTables, dialect = DIALECTS.postgres) {
+  if (relevantTables.length === 0) {
+    return 'SELECT 1;';
+  }
+  const columns = relevantTables[0].columns.map(col => dialect.quoteIdentifier(col.name));
+  return dialect.limitQuery(columns.join(', '), quoteTableReference(relevantTables[0], dialect), 5);
+}
+
+/** === SQL Sandbox === **/
+// Raised when generated SQL is rejected before execution or aborted by the sandbox.
+// `code` is one of: empty_statement, multiple_statements, statement_not_allowed,
+// forbidden_keyword, read_only_violation, statement_timeout, and for connections with
+// a data access policy table_not_allowed, column_not_allowed, masked_column_restricted.
+class SQLGuardError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SQLGuardError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const ALLOWED_STATEMENT_KEYWORDS = ['SELECT', 'WITH'];
+const FORBIDDEN_SQL_KEYWORDS = /\b(INSERT|UPDATE|DELETE|MERGE|UPSERT|DROP|ALTER|CREATE|TRUNCATE|GRANT|REVOKE|COPY|CALL|EXEC|EXECUTE|VACUUM|REINDEX|CLUSTER|ATTACH|DETACH|PRAGMA|INTO|LOCK|SET|RESET|DECLARE|COMMIT|ROLLBACK|SAVEPOINT)\b/i;
+
+// Split SQL into statements on semicolons that are not inside string literals,
+// quoted identifiers, comments or (for PostgreSQL) dollar-quoted bodies.
+// Each statement is returned with `text` (original SQL) and `code` (the same SQL
+// with literals, quoted identifiers and comments blanked out, for keyword checks).
+function splitSQLStatements(sql, dialect = DIALECTS.postgres) {
+  const { dollarQuotes, bracketIdentifiers, backslashEscapes } = dialect.lexer;
+  const statements = [];
+  let text = '';
+  let code = '';
+  let i = 0;
+
+  const flush = () => {
+    if (text.trim()) statements.push({ text: text.trim(), code: code.trim() });
+    text = '';
+    code = '';
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === ';') {
+      flush();
+      i++;
+      continue;
+    }
+
+    let end = -1;
+    if (ch === '-' && next === '-') {
+      end = sql.indexOf('\n', i);
+      if (end === -1) end = sql.length;
+    } else if (ch === '/' && next === '*') {
+      end = sql.indexOf('*/', i + 2);
+      end = end === -1 ? sql.length : end + 2;
+    } else if (ch === '\'' || ch === '"' || ch === '`' || (ch === '[' && bracketIdentifiers)) {
+      const close = ch === '[' ? ']' : ch;
+      const escapes = ch === '\'' && (backslashEscapes || (dollarQuotes && /[eE]$/.test(text)));
+      let j = i + 1;
+      while (j < sql.length) {
+        if (escapes && sql[j] === '\\') {
+          j += 2;
+        } else if (sql[j] === close && sql[j + 1] === close) {
+          j += 2;
+        } else if (sql[j] === close) {
+          break;
+        } else {
+          j++;
+        }
+      }
+      end = Math.min(j + 1, sql.length);
+    } else if (ch === '$' && dollarQuotes) {
+      const tag = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i));
+      if (tag && !/[A-Za-z0-9_]$/.test(text)) {
+        const closeAt = sql.indexOf(tag[0], i + tag[0].length);
+        end = closeAt === -1 ? sql.length : closeAt + tag[0].length;
+      }
+    }
+
+    if (end !== -1) {
+      text += sql.slice(i, end);
+      code += ' ';
+      i = end;
+    } else {
+      text += ch;
+      code += ch;
+      i++;
+    }
+  }
+  flush();
+
+  // Statements made only of comments are not statements
+  return statements.filter(statement => statement.code.length > 0);
+}
+
+// Validate generated SQL before it reaches the database. Returns the single
+// statement to execute, or throws SQLGuardError.
+function guardSQLStatement(sqlQuery, dialect = DIALECTS.postgres) {
+  const statements = splitSQLStatements(sqlQuery || '', dialect);
+  if (statements.length === 0) {
+    throw new SQLGuardError('empty_statement', 'The generated SQL does not contain a statement');
+  }
+  if (statements.length > 1) {
+    throw new SQLGuardError('multiple_statements', `Only one statement may be executed, got ${statements.length}`, {
+      statement_count: statements.length
+    });
+  }
+
+  const [statement] = statements;
+  const firstKeyword = (statement.code.match(/^[\s(]*([A-Za-z]+)/) || [])[1];
+  if (!firstKeyword || !ALLOWED_STATEMENT_KEYWORDS.includes(firstKeyword.toUpperCase())) {
+    throw new SQLGuardError('statement_not_allowed', `Only ${ALLOWED_STATEMENT_KEYWORDS.join('/')} statements may be executed`, {
+      keyword: firstKeyword || null
+    });
+  }
+
+  const forbidden = statement.code.match(FORBIDDEN_SQL_KEYWORDS);
+  if (forbidden) {
+    throw new SQLGuardError('forbidden_keyword', `Statement contains forbidden keyword ${forbidden[1].toUpperCase()}`, {
+      keyword: forbidden[1].toUpperCase()
+    });
+  }
+
+  // Rows are keyed by column name, and MySQL and SQL Server refuse to wrap such a statement
+  // for paging or counting, so `SELECT a.id, b.id` needs aliases
+  const seen = new Set();
+  for (const column of describeOuterSelect(statement.text, dialect).columns) {
+    if (!column) continue;
+    if (seen.has(column.toLowerCase())) {
+      throw new SQLGuardError('duplicate_column', `Column name ${column} appears more than once in the SELECT list; give each column a distinct alias`, {
+        column
+      });
+    }
+    seen.add(column.toLowerCase());
+  }
+
+  return statement.text;
+}
+
 /** === SQL Setup (on-demand, cached) === **/
-let cachedSqlPool = null;
-const getSqlPool = () => {
-  if (cachedSqlPool) return cachedSqlPool;
+const getDefaultKnex = () => {
+  if (knexInstance) return knexInstance;
   const connStr = buildPgConnectionString({
     host: POSTGRES_HOST,
     port: POSTGRES_PORT,
@@ -91,700 +599,5372 @@ const getSqlPool = () => {
     pool_mode: POSTGRES_POOL_MODE || 'transaction',
   });
   console.log('[PostgreSQL] Creating pool with connection string:', connStr);
-  cachedSqlPool = new Pool({
-    connectionString: connStr,
-    max: 5,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 5000,
+  knexInstance = knex({
+    client: 'pg',
+    connection: connStr,
+    pool: { min: 0, max: 5, idleTimeoutMillis: 30000 },
+    acquireConnectionTimeout: 5000,
   });
-  cachedSqlPool.query('SELECT 1')
+  knexInstance.raw('SELECT 1')
     .then(() => console.log('[PostgreSQL] Connected successfully!'))
     .catch(err => console.error('[PostgreSQL] Connection failed:', err));
-  return cachedSqlPool;
+  return knexInstance;
 };
 
-// Helper functions
-function generateSessionId() {
-  return uuidv4();
+/** === Connection Registry (user-supplied databases) === **/
+// Absolute path of a SQLite file inside SQLITE_ALLOWED_DIR (relative names are taken from it), or
+// null. Symlinks are resolved so they cannot point out of it; new files are checked through their directory.
+function resolveSQLiteFile(filename) {
+  const resolveReal = target => {
+    try {
+      return fs.realpathSync(target);
+    } catch (error) {
+      return path.join(resolveReal(path.dirname(target)), path.basename(target));
+    }
+  };
+  const root = resolveReal(path.resolve(SQLITE_ALLOWED_DIR));
+  const file = resolveReal(path.resolve(root, filename));
+  return file.startsWith(root + path.sep) ? file : null;
 }
 
-function cleanSQLResponse(sqlResponse) {
-  // Remove markdown code blocks
-  let cleaned = sqlResponse.replace(/```sql\s*/g, '').replace(/```\s*$/g, '');
-  cleaned = cleaned.replace(/```\s*/g, '').replace(/```\s*$/g, '');
-  
-  // Remove any leading/trailing whitespace
-  cleaned = cleaned.trim();
-  
-  // Ensure it ends with semicolon
-  if (!cleaned.endsWith(';')) {
-    cleaned += ';';
+function validateConnectionConfig(body = {}) {
+  const errors = [];
+  const config = {};
+
+  const dialect = resolveDialect(body.dialect);
+  if (!dialect) {
+    errors.push(`dialect must be one of: ${Object.keys(DIALECT_ALIASES).join(', ')}`);
+    return { errors, config: null };
   }
-  
-  return cleaned;
-}
 
-function convertDecimalsToFloats(obj) {
-  if (obj === null || obj === undefined) return obj;
-  if (typeof obj === 'number') return obj;
-  if (typeof obj === 'string') return obj;
-  if (typeof obj === 'boolean') return obj;
-  
-  if (Array.isArray(obj)) {
-    return obj.map(item => convertDecimalsToFloats(item));
+  if (body.connection_string !== undefined) {
+    if (typeof body.connection_string !== 'string' || !body.connection_string.trim()) {
+      errors.push('connection_string must be a non-empty string');
+      return { errors, config: null };
+    }
+    let parsed;
+    try {
+      parsed = new URL(body.connection_string.trim());
+    } catch (error) {
+      errors.push('connection_string is not a valid URL');
+      return { errors, config: null };
+    }
+    const urlDialect = Object.values(DIALECTS).find(d => d.protocols.includes(parsed.protocol));
+    if (!urlDialect) {
+      errors.push(`connection_string protocol ${parsed.protocol} is not supported`);
+      return { errors, config: null };
+    }
+    if (body.dialect !== undefined && urlDialect !== dialect) {
+      errors.push(`connection_string protocol does not match dialect ${dialect.name}`);
+    }
+    config.dialect = urlDialect.name;
+    if (urlDialect.name === 'sqlite') {
+      config.filename = decodeURIComponent(parsed.pathname);
+    } else {
+      config.host = parsed.hostname;
+      config.port = parsed.port ? parseInt(parsed.port) : urlDialect.defaultPort;
+      config.database = decodeURIComponent(parsed.pathname.replace(/^\//, ''));
+      config.user = decodeURIComponent(parsed.username);
+      config.password = decodeURIComponent(parsed.password);
+    }
+  } else {
+    config.dialect = dialect.name;
+    if (dialect.name === 'sqlite') {
+      config.filename = body.filename;
+    } else {
+      config.host = body.host;
+      config.port = body.port === undefined || body.port === '' ? dialect.defaultPort : Number(body.port);
+      config.database = body.database;
+      config.user = body.user;
+      config.password = body.password === undefined ? '' : body.password;
+    }
   }
-  
-  if (typeof obj === 'object') {
-    const result = {};
-    for (const [key, value] of Object.entries(obj)) {
-      if (value && typeof value === 'object' && value.constructor && value.constructor.name === 'Decimal') {
-        result[key] = parseFloat(value.toString());
-      } else {
-        result[key] = convertDecimalsToFloats(value);
+
+  if (config.dialect === 'sqlite') {
+    if (typeof config.filename !== 'string' || !config.filename.trim()) {
+      errors.push('filename is required');
+    } else if (SQLITE_ALLOWED_DIR) {
+      const filename = resolveSQLiteFile(config.filename);
+      if (filename) config.filename = filename;
+      else errors.push('filename must be inside SQLITE_ALLOWED_DIR');
+    }
+  } else {
+    for (const field of ['host', 'database', 'user']) {
+      if (typeof config[field] !== 'string' || !config[field].trim()) {
+        errors.push(`${field} is required`);
       }
     }
-    return result;
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+      errors.push('port must be an integer between 1 and 65535');
+    }
+    if (typeof config.password !== 'string') {
+      errors.push('password must be a string');
+    }
   }
-  
-  return obj;
+  if (body.ssl !== undefined && typeof body.ssl !== 'boolean') {
+    errors.push('ssl must be a boolean');
+  }
+  config.ssl = body.ssl === true;
+  // Server certificates are verified unless explicitly turned off (self-signed certificates)
+  if (body.ssl_reject_unauthorized !== undefined && typeof body.ssl_reject_unauthorized !== 'boolean') {
+    errors.push('ssl_reject_unauthorized must be a boolean');
+  }
+  if (config.ssl && body.ssl_reject_unauthorized === false) {
+    config.ssl_reject_unauthorized = false;
+  }
+
+  if (body.schemas !== undefined) {
+    if (config.dialect === 'sqlite') {
+      errors.push('schemas are not supported for SQLite');
+    } else if (!Array.isArray(body.schemas) || body.schemas.length === 0 ||
+        body.schemas.some(schema => typeof schema !== 'string' || !schema.trim())) {
+      errors.push('schemas must be a non-empty array of schema names');
+    } else {
+      config.schemas = [...new Set(body.schemas.map(schema => schema.trim()))];
+    }
+  }
+  for (const field of ['include_views', 'include_materialized_views']) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+    config[field] = body[field] === true;
+  }
+  if (config.include_materialized_views && config.dialect !== 'postgres') {
+    errors.push('include_materialized_views is only supported for PostgreSQL');
+  }
+  const policy = validateConnectionPolicy(body.policy);
+  errors.push(...policy.errors);
+  config.policy = policy.policy;
+
+  return { errors, config: errors.length ? null : config };
 }
 
-// Database functions
-async function getAllTables(pool) {
-  if (!pool) throw new Error('No database connection');
+// Connection details that are safe to return to clients and store on sessions
+function describeConnection(connection) {
+  const { dialect, host, port, database, user, filename, ssl, ssl_reject_unauthorized, schemas, include_views, include_materialized_views } = connection.config;
+  if (dialect === 'sqlite') {
+    return { connection_id: connection.id, dialect, filename, include_views: !!include_views };
+  }
+  return {
+    connection_id: connection.id,
+    dialect: dialect || 'postgres',
+    host,
+    port,
+    database,
+    user,
+    ssl: !!ssl,
+    ssl_reject_unauthorized: ssl ? ssl_reject_unauthorized !== false : undefined,
+    schemas: schemas || null,
+    include_views: !!include_views,
+    include_materialized_views: !!include_materialized_views
+  };
+}
+
+function createKnexForConfig(config) {
+  const dialect = resolveDialect(config.dialect);
+  let connection;
+  if (dialect.name === 'sqlite') {
+    connection = { filename: config.filename };
+  } else if (dialect.name === 'mssql') {
+    connection = {
+      server: config.host,
+      port: config.port,
+      database: config.database,
+      user: config.user,
+      password: config.password,
+      requestTimeout: SQL_STATEMENT_TIMEOUT_MS,
+      options: { encrypt: config.ssl, trustServerCertificate: config.ssl_reject_unauthorized === false },
+    };
+  } else {
+    connection = {
+      host: config.host,
+      port: config.port,
+      database: config.database,
+      user: config.user,
+      password: config.password,
+      ssl: config.ssl ? { rejectUnauthorized: config.ssl_reject_unauthorized !== false } : undefined,
+    };
+  }
+  return knex({
+    client: dialect.client,
+    connection,
+    useNullAsDefault: dialect.name === 'sqlite',
+    pool: dialect.name === 'sqlite' ? { min: 1, max: 1 } : { min: 0, max: 5, idleTimeoutMillis: 30000 },
+    acquireConnectionTimeout: 5000,
+  });
+}
+
+// Passwords are stored in db_connections as `password_encrypted`: "v1:<iv>:<tag>:<ciphertext>"
+// (base64), encrypted with AES-256-GCM under CONNECTION_SECRET_KEY and bound to the connection
+// id. Without the key they are not persisted, so only the registering instance can connect.
+const connectionSecretKey = CONNECTION_SECRET_KEY
+  ? crypto.createHash('sha256').update(CONNECTION_SECRET_KEY).digest()
+  : null;
+
+function encryptConnectionSecret(value, connectionId) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', connectionSecretKey, iv);
+  cipher.setAAD(Buffer.from(connectionId));
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+}
+
+function decryptConnectionSecret(sealed, connectionId) {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  if (version !== 'v1' || !ciphertext) throw new Error('Unsupported encrypted secret format');
+  if (!connectionSecretKey) throw new Error('CONNECTION_SECRET_KEY is required to decrypt stored connection passwords');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', connectionSecretKey, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(connectionId));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Config as written to db_connections: the password encrypted, or left out without a key
+function sealConnectionConfig(config, connectionId) {
+  const { password, ...stored } = config;
+  if (!password) return stored;
+  if (!connectionSecretKey) {
+    console.warn(`⚠️  CONNECTION_SECRET_KEY is not set: the password of connection ${connectionId} is kept in memory only`);
+    return stored;
+  }
+  return { ...stored, password_encrypted: encryptConnectionSecret(password, connectionId) };
+}
+
+// Config as used to connect. Documents written before encryption keep a plaintext password.
+function openConnectionConfig(stored, connectionId) {
+  const { password_encrypted: sealed, ...config } = stored;
+  if (sealed) config.password = decryptConnectionSecret(sealed, connectionId);
+  return config;
+}
+
+async function registerConnection(config, ownerId = null) {
+  logDbConnectionAttempt(config);
+  const instance = createKnexForConfig(config);
   try {
-    const result = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_type = 'BASE TABLE'
-      ORDER BY table_name
-    `);
-    return result.rows.map(row => row.table_name);
+    await instance.raw('SELECT 1');
   } catch (error) {
-    console.error('Error getting tables:', error);
+    await instance.destroy().catch(() => {});
     throw error;
   }
+
+  const connection = {
+    id: uuidv4(),
+    config,
+    dialect: resolveDialect(config.dialect),
+    knex: instance,
+    owner_id: ownerId,
+    created_at: new Date(),
+    policy_version: 0
+  };
+  connectionRegistry.set(connection.id, connection);
+
+  // Persist so that other Lambda instances (and cold starts) can resolve the id
+  try {
+    const mongo = await getMongoClient();
+    await mongo.db(MONGODB_DB_NAME).collection('db_connections').insertOne({
+      connection_id: connection.id,
+      config: sealConnectionConfig(config, connection.id),
+      owner_id: ownerId,
+      created_at: connection.created_at,
+      policy_version: 0
+    });
+  } catch (error) {
+    console.error('Error persisting database connection:', error);
+  }
+
+  return connection;
+}
+
+async function getConnection(connectionId) {
+  if (!connectionId || connectionId === DEFAULT_CONNECTION_ID) {
+    return {
+      id: DEFAULT_CONNECTION_ID,
+      config: {
+        dialect: 'postgres',
+        host: POSTGRES_HOST,
+        port: POSTGRES_PORT,
+        database: POSTGRES_DATABASE,
+        user: POSTGRES_USER,
+        ssl: false,
+        schemas: POSTGRES_SCHEMAS,
+        include_views: POSTGRES_INCLUDE_VIEWS,
+        include_materialized_views: POSTGRES_INCLUDE_MATERIALIZED_VIEWS,
+        policy: getDefaultConnectionPolicy()
+      },
+      dialect: DIALECTS.postgres,
+      knex: getDefaultKnex()
+    };
+  }
+
+  if (connectionRegistry.has(connectionId)) {
+    const connection = connectionRegistry.get(connectionId);
+    await refreshConnectionPolicy(connection);
+    return connection;
+  }
+
+  try {
+    const mongo = await getMongoClient();
+    const stored = await mongo.db(MONGODB_DB_NAME).collection('db_connections').findOne({ connection_id: connectionId });
+    if (!stored) return null;
+    const config = openConnectionConfig(stored.config, stored.connection_id);
+    const connection = {
+      id: stored.connection_id,
+      config,
+      dialect: resolveDialect(config.dialect),
+      knex: createKnexForConfig(config),
+      owner_id: stored.owner_id || null,
+      created_at: stored.created_at,
+      policy_version: stored.policy_version || 0
+    };
+    connectionRegistry.set(connection.id, connection);
+    return connection;
+  } catch (error) {
+    console.error('Error loading database connection:', error);
+    return null;
+  }
 }
 
-async function getTableColumns(tableName, pool) {
-  if (!pool) throw new Error('No database connection');
+// Policies can be changed through any instance: cached connections pick up a newer
+// policy_version from db_connections before they are used
+async function refreshConnectionPolicy(connection) {
   try {
-    const result = await pool.query(`
-      SELECT column_name, data_type, is_nullable
-      FROM information_schema.columns 
-      WHERE table_schema = 'public' 
-      AND table_name = $1
-      ORDER BY ordinal_position
-    `, [tableName]);
-    return result.rows.map(row => ({
-      name: row.column_name,
-      type: row.data_type,
-      nullable: row.is_nullable === 'YES'
-    }));
+    const mongo = await getMongoClient();
+    const stored = await mongo.db(MONGODB_DB_NAME).collection('db_connections').findOne(
+      { connection_id: connection.id },
+      { projection: { 'config.policy': 1, policy_version: 1 } }
+    );
+    if (stored && (stored.policy_version || 0) !== (connection.policy_version || 0)) {
+      connection.config.policy = (stored.config && stored.config.policy) || null;
+      connection.policy_version = stored.policy_version || 0;
+      console.log(`🛡️  Reloaded data access policy of connection ${connection.id} (version ${connection.policy_version})`);
+    }
   } catch (error) {
-    console.error(`Error getting columns for table ${tableName}:`, error);
-    throw error;
+    console.error('Error refreshing connection policy:', error.message);
   }
 }
 
-async function executeSQLQuery(sqlQuery, pool) {
-  if (!pool) throw new Error('No database connection');
+async function closeConnection(connectionId) {
+  await invalidateSchemaSnapshot(connectionId);
+  const connection = connectionRegistry.get(connectionId);
+  if (connection) {
+    connectionRegistry.delete(connectionId);
+    await connection.knex.destroy().catch(err => console.error('Error closing pool:', err));
+  }
+
+  let removed = false;
   try {
-    const sqlStatements = sqlQuery.split(';').map(s => s.trim()).filter(Boolean);
-    const result = await pool.query(sqlStatements[0]);
-    // Convert results to plain objects and handle special types
-    const rows = result.rows.map(row => {
-      const plainRow = {};
-      for (const [key, value] of Object.entries(row)) {
-        if (value && typeof value === 'object' && value.toISOString) {
-          plainRow[key] = value.toISOString();
-        } else if (value && typeof value === 'object' && value.constructor && value.constructor.name === 'Decimal') {
-          plainRow[key] = parseFloat(value.toString());
-        } else {
-          plainRow[key] = value;
-        }
-      }
-      return plainRow;
-    });
-    return rows;
+    const mongo = await getMongoClient();
+    const result = await mongo.db(MONGODB_DB_NAME).collection('db_connections').deleteOne({ connection_id: connectionId });
+    removed = result.deletedCount > 0;
   } catch (error) {
-    console.error('Error executing SQL query:', error);
-    throw new Error(`SQL execution failed: ${error.message}`);
+    console.error('Error removing database connection:', error);
   }
+  return !!connection || removed;
 }
 
-// AI functions
-async function askAIForRelevantTables(question, allTables, chatHistory = []) {
-  if (!AI_API_KEY) {
-    // Fallback: simple keyword matching
-    console.log('⚠️  No AI API key, using keyword matching fallback');
-    
-    // Check if this looks like a follow-up question
-    const followUpIndicators = ['more', 'details', 'show', 'filter', 'sort', 'order', 'limit', 'top', 'recent', 'latest', 'previous', 'last'];
-    const questionLower = question.toLowerCase();
-    
-    // If it's likely a follow-up question, reuse tables from the last query
-    if (followUpIndicators.some(indicator => questionLower.includes(indicator)) && chatHistory.length > 0) {
-      const lastQuery = chatHistory[chatHistory.length - 1];
-      console.log(`🔍 Detected follow-up question, reusing tables: ${lastQuery.tables_used}`);
-      return lastQuery.tables_used;
+/** === Schema Introspection (cached per connection) === **/
+// A schema snapshot describes every exposed table (and, when enabled, view) of a connection:
+//   { connection_id, dialect, default_schema, generated_at, tables: [{ name, schema, table, kind, comment,
+//     columns: [{ name, type, nullable, default, comment }], primary_key: [column],
+//     foreign_keys: [{ name, columns, referenced_table, referenced_columns }],
+//     unique_constraints: [{ name, columns }], indexes: [{ name, columns, unique }] }] }
+// `name` is schema-qualified ("analytics.events") for anything outside the default schema.
+// Each dialect's introspect() returns flat rows ({ tables, columns, keys, indexes }) that
+// assembleSchemaSnapshot() groups per table.
+const schemaCache = new Map();
+
+async function queryRows(connection, sql, bindings) {
+  const result = bindings ? await connection.knex.raw(sql, bindings) : await connection.knex.raw(sql);
+  return connection.dialect.rowsFromResult(result) || [];
+}
+
+// WHERE condition restricting a schema column to the connection's exposed schemas
+function schemaFilter(column, connection) {
+  const { schemas } = connection.config;
+  if (Array.isArray(schemas) && schemas.length > 0) {
+    return { sql: `${column} IN (${schemas.map(() => '?').join(', ')})`, bindings: schemas };
+  }
+  return { sql: `${column} = ${connection.dialect.currentSchemaSql}`, bindings: [] };
+}
+
+// Group per-column key rows ({ table_schema, table_name, name, type, column_name, referenced_schema, referenced_table, referenced_column })
+function groupKeyRows(rows) {
+  const keys = new Map();
+  for (const row of rows) {
+    const id = `${row.table_schema}\u0000${row.table_name}\u0000${row.name}`;
+    if (!keys.has(id)) {
+      keys.set(id, {
+        table_schema: row.table_schema,
+        table_name: row.table_name,
+        name: row.name,
+        type: row.type,
+        columns: [],
+        referenced_schema: row.referenced_schema || null,
+        referenced_table: row.referenced_table || null,
+        referenced_columns: []
+      });
     }
-    
-    // Otherwise, do keyword matching
-    const relevantTables = [];
-    for (const table of allTables) {
-      if (questionLower.includes(table.toLowerCase()) || questionLower.split(' ').some(word => table.toLowerCase().includes(word))) {
-        relevantTables.push(table);
-      }
+    const key = keys.get(id);
+    key.columns.push(row.column_name);
+    if (row.referenced_column) key.referenced_columns.push(row.referenced_column);
+  }
+  return [...keys.values()];
+}
+
+function groupIndexRows(rows) {
+  const indexes = new Map();
+  for (const row of rows) {
+    const id = `${row.table_schema}\u0000${row.table_name}\u0000${row.index_name}`;
+    if (!indexes.has(id)) {
+      indexes.set(id, { table_schema: row.table_schema, table_name: row.table_name, name: row.index_name, unique: !!row.is_unique, columns: [] });
     }
-    
-    return relevantTables.slice(0, 2); // Limit to 2 most relevant tables
+    indexes.get(id).columns.push(row.column_name);
   }
-  
-  try {
-    // Build enhanced context from recent chat history (last 2 interactions)
-    let context = '';
-    if (chatHistory.length > 0) {
-      const recentHistory = chatHistory.slice(-2); // Last 2 interactions for better focus
+  return [...indexes.values()];
+}
+
+const PG_KEY_TYPES = { p: 'primary', u: 'unique', f: 'foreign' };
+
+async function introspectPostgres(connection) {
+  const { include_views: views, include_materialized_views: materializedViews } = connection.config;
+  const relkinds = ['r', 'p', ...(views ? ['v'] : []), ...(materializedViews ? ['m'] : [])].map(kind => `'${kind}'`).join(', ');
+  const schemas = schemaFilter('n.nspname', connection);
+
+  const tables = await queryRows(connection, `
+    SELECT n.nspname AS table_schema, c.relname AS name,
+      CASE c.relkind WHEN 'v' THEN 'view' WHEN 'm' THEN 'materialized_view' ELSE 'table' END AS kind,
+      obj_description(c.oid, 'pg_class') AS comment
+    FROM pg_catalog.pg_class c
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${schemas.sql}
+    AND c.relkind IN (${relkinds})
+    ORDER BY n.nspname, c.relname
+  `, schemas.bindings);
+  // pg_attribute rather than information_schema.columns, which leaves out materialized views
+  const columns = await queryRows(connection, `
+    SELECT n.nspname AS table_schema, c.relname AS table_name, a.attname AS column_name,
+      format_type(a.atttypid, a.atttypmod) AS data_type,
+      CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS is_nullable,
+      pg_get_expr(d.adbin, d.adrelid) AS column_default,
+      col_description(c.oid, a.attnum) AS comment
+    FROM pg_catalog.pg_attribute a
+    JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_catalog.pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE ${schemas.sql}
+    AND c.relkind IN (${relkinds})
+    AND a.attnum > 0
+    AND NOT a.attisdropped
+    ORDER BY n.nspname, c.relname, a.attnum
+  `, schemas.bindings);
+  const keys = await queryRows(connection, `
+    SELECT n.nspname AS table_schema, rel.relname AS table_name, con.conname AS name, con.contype AS type,
+      ARRAY(
+        SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        ORDER BY k.ord
+      ) AS columns,
+      fn.nspname AS referenced_schema,
+      frel.relname AS referenced_table,
+      ARRAY(
+        SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+        ORDER BY k.ord
+      ) AS referenced_columns
+    FROM pg_catalog.pg_constraint con
+    JOIN pg_catalog.pg_class rel ON rel.oid = con.conrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = rel.relnamespace
+    LEFT JOIN pg_catalog.pg_class frel ON frel.oid = con.confrelid
+    LEFT JOIN pg_catalog.pg_namespace fn ON fn.oid = frel.relnamespace
+    WHERE ${schemas.sql}
+    AND con.contype IN ('p', 'u', 'f')
+    ORDER BY n.nspname, rel.relname, con.conname
+  `, schemas.bindings);
+  const indexes = await queryRows(connection, `
+    SELECT n.nspname AS table_schema, t.relname AS table_name, i.relname AS name, ix.indisunique AS is_unique,
+      ARRAY(
+        SELECT a.attname::text FROM unnest(ix.indkey::int2[]) WITH ORDINALITY k(attnum, ord)
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+        ORDER BY k.ord
+      ) AS columns
+    FROM pg_catalog.pg_index ix
+    JOIN pg_catalog.pg_class t ON t.oid = ix.indrelid
+    JOIN pg_catalog.pg_class i ON i.oid = ix.indexrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace
+    WHERE ${schemas.sql}
+    ORDER BY n.nspname, t.relname, i.relname
+  `, schemas.bindings);
+  return {
+    tables,
+    columns,
+    keys: keys.map(key => ({ ...key, type: PG_KEY_TYPES[key.type] })),
+    indexes: indexes.map(index => ({ ...index, unique: index.is_unique }))
+  };
+}
+
+const INFORMATION_SCHEMA_KEY_TYPES = { 'PRIMARY KEY': 'primary', 'UNIQUE': 'unique', 'FOREIGN KEY': 'foreign' };
+
+// MySQL schemas are databases; the connection's database is the default one
+async function introspectMySQL(connection) {
+  const tableTypes = connection.config.include_views ? "'BASE TABLE', 'VIEW'" : "'BASE TABLE'";
+  const tableSchemas = schemaFilter('table_schema', connection);
+  const constraintSchemas = schemaFilter('tc.table_schema', connection);
+
+  const tables = await queryRows(connection, `
+    SELECT table_schema AS table_schema, table_name AS name,
+      CASE WHEN table_type = 'VIEW' THEN 'view' ELSE 'table' END AS kind,
+      CASE WHEN table_type = 'VIEW' THEN NULL ELSE NULLIF(table_comment, '') END AS comment
+    FROM information_schema.tables
+    WHERE ${tableSchemas.sql}
+    AND table_type IN (${tableTypes})
+    ORDER BY table_schema, table_name
+  `, tableSchemas.bindings);
+  const columns = await queryRows(connection, `
+    SELECT table_schema AS table_schema, table_name AS table_name, column_name AS column_name, data_type AS data_type,
+      is_nullable AS is_nullable, column_default AS column_default, NULLIF(column_comment, '') AS comment
+    FROM information_schema.columns
+    WHERE ${tableSchemas.sql}
+    ORDER BY table_schema, table_name, ordinal_position
+  `, tableSchemas.bindings);
+  const keyRows = await queryRows(connection, `
+    SELECT kcu.table_schema AS table_schema, kcu.table_name AS table_name, tc.constraint_name AS name,
+      tc.constraint_type AS type, kcu.column_name AS column_name,
+      kcu.referenced_table_schema AS referenced_schema, kcu.referenced_table_name AS referenced_table,
+      kcu.referenced_column_name AS referenced_column
+    FROM information_schema.table_constraints tc
+    JOIN information_schema.key_column_usage kcu
+      ON kcu.constraint_schema = tc.constraint_schema
+      AND kcu.constraint_name = tc.constraint_name
+      AND kcu.table_name = tc.table_name
+    WHERE ${constraintSchemas.sql}
+    AND tc.constraint_type IN ('PRIMARY KEY', 'UNIQUE', 'FOREIGN KEY')
+    ORDER BY kcu.table_schema, kcu.table_name, tc.constraint_name, kcu.ordinal_position
+  `, constraintSchemas.bindings);
+  const indexRows = await queryRows(connection, `
+    SELECT table_schema AS table_schema, table_name AS table_name, index_name AS index_name,
+      non_unique = 0 AS is_unique, column_name AS column_name
+    FROM information_schema.statistics
+    WHERE ${tableSchemas.sql}
+    ORDER BY table_schema, table_name, index_name, seq_in_index
+  `, tableSchemas.bindings);
+  return {
+    tables,
+    columns,
+    keys: groupKeyRows(keyRows.map(row => ({ ...row, type: INFORMATION_SCHEMA_KEY_TYPES[row.type] }))),
+    indexes: groupIndexRows(indexRows)
+  };
+}
+
+// Only the main database is introspected; attached databases are not supported
+async function introspectSQLite(connection) {
+  const objectTypes = connection.config.include_views ? "'table', 'view'" : "'table'";
+  const tables = await queryRows(connection, `
+    SELECT 'main' AS table_schema, name AS name, type AS kind, NULL AS comment
+    FROM sqlite_master
+    WHERE type IN (${objectTypes})
+    AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `);
+  const columns = [];
+  const keys = [];
+  const indexes = [];
+  for (const table of tables) {
+    const tableColumns = await queryRows(connection, 'SELECT * FROM pragma_table_info(?) ORDER BY cid', [table.name]);
+    for (const col of tableColumns) {
+      columns.push({
+        table_schema: 'main',
+        table_name: table.name,
+        column_name: col.name,
+        data_type: col.type,
+        is_nullable: col.notnull ? 'NO' : 'YES',
+        column_default: col.dflt_value,
+        comment: null
+      });
+    }
+    if (table.kind === 'view') continue;
+
+    const primaryKey = tableColumns.filter(col => col.pk > 0).sort((a, b) => a.pk - b.pk).map(col => col.name);
+    if (primaryKey.length > 0) {
+      keys.push({ table_schema: 'main', table_name: table.name, name: `${table.name}_pkey`, type: 'primary', columns: primaryKey, referenced_table: null, referenced_columns: [] });
+    }
+
+    const foreignKeyRows = await queryRows(connection, 'SELECT * FROM pragma_foreign_key_list(?) ORDER BY id, seq', [table.name]);
+    keys.push(...groupKeyRows(foreignKeyRows.map(row => ({
+      table_schema: 'main',
+      table_name: table.name,
+      name: `${table.name}_fk_${row.id}`,
+      type: 'foreign',
+      column_name: row.from,
+      referenced_schema: 'main',
+      referenced_table: row.table,
+      referenced_column: row.to
+    }))));
+
+    const indexList = await queryRows(connection, 'SELECT * FROM pragma_index_list(?)', [table.name]);
+    for (const index of indexList) {
+      const indexColumns = await queryRows(connection, 'SELECT * FROM pragma_index_info(?) ORDER BY seqno', [index.name]);
+      const names = indexColumns.map(col => col.name);
+      indexes.push({ table_schema: 'main', table_name: table.name, name: index.name, unique: !!index.unique, columns: names });
+      if (index.origin === 'u') {
+        keys.push({ table_schema: 'main', table_name: table.name, name: index.name, type: 'unique', columns: names, referenced_table: null, referenced_columns: [] });
+      }
+    }
+  }
+  return { tables, columns, keys, indexes };
+}
+
+async function introspectMSSQL(connection) {
+  const objectTypes = connection.config.include_views ? "'U', 'V'" : "'U'";
+  const objectSchemas = schemaFilter('SCHEMA_NAME(o.schema_id)', connection);
+  const foreignKeySchemas = schemaFilter('SCHEMA_NAME(tp.schema_id)', connection);
+
+  const tables = await queryRows(connection, `
+    SELECT SCHEMA_NAME(o.schema_id) AS table_schema, o.name AS name,
+      CASE WHEN o.type = 'V' THEN 'view' ELSE 'table' END AS kind,
+      CAST(ep.value AS NVARCHAR(MAX)) AS comment
+    FROM sys.objects o
+    LEFT JOIN sys.extended_properties ep
+      ON ep.major_id = o.object_id AND ep.minor_id = 0 AND ep.name = 'MS_Description'
+    WHERE ${objectSchemas.sql}
+    AND o.type IN (${objectTypes})
+    ORDER BY SCHEMA_NAME(o.schema_id), o.name
+  `, objectSchemas.bindings);
+  const columns = await queryRows(connection, `
+    SELECT SCHEMA_NAME(o.schema_id) AS table_schema, o.name AS table_name, c.name AS column_name, ty.name AS data_type,
+      CASE WHEN c.is_nullable = 1 THEN 'YES' ELSE 'NO' END AS is_nullable,
+      OBJECT_DEFINITION(c.default_object_id) AS column_default,
+      CAST(ep.value AS NVARCHAR(MAX)) AS comment
+    FROM sys.columns c
+    JOIN sys.objects o ON o.object_id = c.object_id
+    JOIN sys.types ty ON ty.user_type_id = c.user_type_id
+    LEFT JOIN sys.extended_properties ep
+      ON ep.major_id = c.object_id AND ep.minor_id = c.column_id AND ep.name = 'MS_Description'
+    WHERE ${objectSchemas.sql}
+    AND o.type IN (${objectTypes})
+    ORDER BY SCHEMA_NAME(o.schema_id), o.name, c.column_id
+  `, objectSchemas.bindings);
+  const foreignKeyRows = await queryRows(connection, `
+    SELECT SCHEMA_NAME(tp.schema_id) AS table_schema, tp.name AS table_name, fk.name AS name, 'foreign' AS type,
+      cp.name AS column_name, SCHEMA_NAME(tr.schema_id) AS referenced_schema, tr.name AS referenced_table,
+      cr.name AS referenced_column
+    FROM sys.foreign_keys fk
+    JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+    JOIN sys.tables tp ON tp.object_id = fkc.parent_object_id
+    JOIN sys.columns cp ON cp.object_id = fkc.parent_object_id AND cp.column_id = fkc.parent_column_id
+    JOIN sys.tables tr ON tr.object_id = fkc.referenced_object_id
+    JOIN sys.columns cr ON cr.object_id = fkc.referenced_object_id AND cr.column_id = fkc.referenced_column_id
+    WHERE ${foreignKeySchemas.sql}
+    ORDER BY SCHEMA_NAME(tp.schema_id), tp.name, fk.name, fkc.constraint_column_id
+  `, foreignKeySchemas.bindings);
+  const indexRows = await queryRows(connection, `
+    SELECT SCHEMA_NAME(o.schema_id) AS table_schema, o.name AS table_name, i.name AS index_name,
+      i.is_unique AS is_unique, i.is_primary_key AS is_primary_key, i.is_unique_constraint AS is_unique_constraint,
+      c.name AS column_name
+    FROM sys.indexes i
+    JOIN sys.objects o ON o.object_id = i.object_id
+    JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id AND ic.is_included_column = 0
+    JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+    WHERE ${objectSchemas.sql}
+    AND o.type IN (${objectTypes})
+    AND i.type > 0
+    ORDER BY SCHEMA_NAME(o.schema_id), o.name, i.name, ic.key_ordinal
+  `, objectSchemas.bindings);
+  // Primary keys and unique constraints are backed by indexes in SQL Server
+  const constraintRows = indexRows
+    .filter(row => row.is_primary_key || row.is_unique_constraint)
+    .map(row => ({ ...row, name: row.index_name, type: row.is_primary_key ? 'primary' : 'unique' }));
+  return {
+    tables,
+    columns,
+    keys: [...groupKeyRows(constraintRows), ...groupKeyRows(foreignKeyRows)],
+    indexes: groupIndexRows(indexRows)
+  };
+}
+
+// Tables and columns of the default schema only, from the dialect's basic listing queries.
+// Used when the enriched introspection is not permitted for the connected user.
+async function introspectBasic(connection, defaultSchema) {
+  const tables = (await queryRows(connection, connection.dialect.listTablesSql))
+    .map(row => ({ table_schema: defaultSchema, name: row.table_name, kind: 'table', comment: null }));
+  const columns = [];
+  for (const table of tables) {
+    const rows = await queryRows(connection, connection.dialect.listColumnsSql, [table.name]);
+    columns.push(...rows.map(row => ({ ...row, table_schema: defaultSchema, table_name: table.name, column_default: null, comment: null })));
+  }
+  return { tables, columns, keys: [], indexes: [] };
+}
+
+function assembleSchemaSnapshot(connection, defaultSchema, { tables, columns, keys, indexes }) {
+  const qualify = (schema, name) => (!schema || schema === defaultSchema ? name : `${schema}.${name}`);
+  const tableId = (schema, name) => `${schema}\u0000${name}`;
+
+  const byId = new Map();
+  for (const table of tables) {
+    byId.set(tableId(table.table_schema, table.name), {
+      name: qualify(table.table_schema, table.name),
+      schema: table.table_schema,
+      table: table.name,
+      kind: table.kind || 'table',
+      comment: table.comment || null,
+      columns: [],
+      primary_key: [],
+      foreign_keys: [],
+      unique_constraints: [],
+      indexes: []
+    });
+  }
+  for (const col of columns) {
+    const table = byId.get(tableId(col.table_schema, col.table_name));
+    if (!table) continue;
+    table.columns.push({
+      name: col.column_name,
+      type: col.data_type,
+      nullable: col.is_nullable === 'YES',
+      default: col.column_default === undefined ? null : col.column_default,
+      comment: col.comment || null
+    });
+  }
+  for (const key of keys) {
+    const table = byId.get(tableId(key.table_schema, key.table_name));
+    if (!table) continue;
+    if (key.type === 'primary') {
+      table.primary_key = key.columns;
+    } else if (key.type === 'unique') {
+      table.unique_constraints.push({ name: key.name, columns: key.columns });
+    } else if (key.type === 'foreign') {
+      table.foreign_keys.push({
+        name: key.name,
+        columns: key.columns,
+        referenced_table: qualify(key.referenced_schema || key.table_schema, key.referenced_table),
+        referenced_columns: key.referenced_columns
+      });
+    }
+  }
+  for (const index of indexes) {
+    const table = byId.get(tableId(index.table_schema, index.table_name));
+    if (!table) continue;
+    table.indexes.push({ name: index.name, columns: index.columns, unique: !!index.unique });
+  }
+
+  return {
+    connection_id: connection.id,
+    dialect: connection.dialect.name,
+    default_schema: defaultSchema,
+    generated_at: new Date().toISOString(),
+    tables: [...byId.values()]
+  };
+}
+
+async function buildSchemaSnapshot(connection) {
+  const [current] = await queryRows(connection, `SELECT ${connection.dialect.currentSchemaSql} AS name`);
+  const defaultSchema = current ? current.name : null;
+  let parts;
+  try {
+    parts = await connection.dialect.introspect(connection);
+  } catch (error) {
+    console.error('[Schema] Enriched introspection failed, falling back to basic listing:', error.message);
+    parts = await introspectBasic(connection, defaultSchema);
+  }
+  return assembleSchemaSnapshot(connection, defaultSchema, parts);
+}
+
+// Quoted reference to a snapshot table: "schema"."table" outside the default schema
+function quoteTableReference(table, dialect) {
+  if (table.schema && table.table && table.name !== table.table) {
+    return `${dialect.quoteIdentifier(table.schema)}.${dialect.quoteIdentifier(table.table)}`;
+  }
+  return dialect.quoteIdentifier(table.table || table.name);
+}
+
+async function getSchemaCacheCollection() {
+  const mongo = await getMongoClient();
+  const collection = mongo.db(MONGODB_DB_NAME).collection('schema_cache');
+  await collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+  return collection;
+}
+
+// The schema as the connection's policy allows it to be seen (see Data Access Policies)
+async function getSchemaSnapshot(connection, options = {}) {
+  return applySchemaPolicy(await loadSchemaSnapshot(connection, options), connection);
+}
+
+// The full introspected schema, cached per connection
+async function loadSchemaSnapshot(connection, { refresh = false } = {}) {
+  if (!connection) throw new Error('No database connection');
+  const now = Date.now();
+
+  if (!refresh) {
+    const cached = schemaCache.get(connection.id);
+    if (cached && cached.expires_at > now) {
+      return cached.snapshot;
+    }
+
+    if (SCHEMA_CACHE_MONGO) {
+      try {
+        const collection = await getSchemaCacheCollection();
+        const stored = await collection.findOne({ connection_id: connection.id, expires_at: { $gt: new Date(now) } });
+        if (stored) {
+          schemaCache.set(connection.id, { snapshot: stored.snapshot, expires_at: stored.expires_at.getTime() });
+          return stored.snapshot;
+        }
+      } catch (error) {
+        console.error('Error reading schema cache:', error);
+      }
+    }
+  }
+
+  console.log(`[Schema] Introspecting connection ${connection.id}`);
+  const snapshot = await buildSchemaSnapshot(connection);
+  const expiresAt = now + SCHEMA_CACHE_TTL_MS;
+  schemaCache.set(connection.id, { snapshot, expires_at: expiresAt });
+
+  if (SCHEMA_CACHE_MONGO) {
+    try {
+      const collection = await getSchemaCacheCollection();
+      await collection.updateOne(
+        { connection_id: connection.id },
+        { $set: { connection_id: connection.id, snapshot, expires_at: new Date(expiresAt) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Error writing schema cache:', error);
+    }
+  }
+
+  return snapshot;
+}
+
+async function invalidateSchemaSnapshot(connectionId) {
+  schemaCache.delete(connectionId);
+  if (SCHEMA_CACHE_MONGO) {
+    try {
+      const collection = await getSchemaCacheCollection();
+      await collection.deleteOne({ connection_id: connectionId });
+    } catch (error) {
+      console.error('Error invalidating schema cache:', error);
+    }
+  }
+}
+
+/** === Data Access Policies === **/
+// A connection may carry a policy limiting what the model, the SQL sandbox and callers see:
+//   { tables: { allow: [...], deny: [...] }, columns: { deny: [...] }, masks: [{ column, rule }] }
+// Table patterns are names ("orders", "sales.orders"); column patterns are "table.column".
+// Both accept `*` wildcards ("*.ssn", "hr.*"). Mask rules are hash, redact and partial.
+// Hidden tables and denied columns are removed from the schema and rejected in SQL. Masked
+// columns stay visible but their values are masked in every returned row, so they may only be
+// selected as plain columns: filtering, joining, sorting or computing on them would reveal them.
+const MASK_RULES = ['hash', 'redact', 'partial'];
+const POLICY_MASK_SECRET = process.env.POLICY_MASK_SECRET;
+const compiledPolicies = new WeakMap();
+const policySnapshots = new WeakMap();
+
+// Returns { errors, policy } with the policy reduced to its known fields
+function validateConnectionPolicy(policy) {
+  const errors = [];
+  if (policy === null || policy === undefined) return { errors, policy: null };
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { errors: ['policy must be an object'], policy: null };
+  }
+  const isPatternList = (list, withColumn) => Array.isArray(list) &&
+    list.every(pattern => typeof pattern === 'string' && pattern.trim() && (!withColumn || /^.+\.[^.]+$/.test(pattern)));
+  for (const field of ['allow', 'deny']) {
+    if (policy.tables && policy.tables[field] !== undefined && !isPatternList(policy.tables[field], false)) {
+      errors.push(`policy.tables.${field} must be an array of table names`);
+    }
+  }
+  if (policy.columns && policy.columns.deny !== undefined && !isPatternList(policy.columns.deny, true)) {
+    errors.push('policy.columns.deny must be an array of "table.column" patterns');
+  }
+  if (policy.masks !== undefined) {
+    if (!Array.isArray(policy.masks)) {
+      errors.push('policy.masks must be an array');
+    } else {
+      policy.masks.forEach((mask, i) => {
+        if (!mask || !isPatternList([mask.column], true)) {
+          errors.push(`policy.masks[${i}].column must be a "table.column" pattern`);
+        }
+        if (!mask || !MASK_RULES.includes(mask.rule)) {
+          errors.push(`policy.masks[${i}].rule must be one of: ${MASK_RULES.join(', ')}`);
+        }
+      });
+    }
+  }
+  if (errors.length > 0) return { errors, policy: null };
+
+  const tables = policy.tables || {};
+  return {
+    errors,
+    policy: {
+      tables: { allow: tables.allow || null, deny: tables.deny || [] },
+      columns: { deny: (policy.columns && policy.columns.deny) || [] },
+      masks: (policy.masks || []).map(mask => ({ column: mask.column, rule: mask.rule }))
+    }
+  };
+}
+
+// POSTGRES_POLICY applies to the default connection; an invalid one hides every table
+let defaultConnectionPolicy;
+function getDefaultConnectionPolicy() {
+  if (defaultConnectionPolicy === undefined) {
+    defaultConnectionPolicy = null;
+    if (POSTGRES_POLICY) {
+      try {
+        const { errors, policy } = validateConnectionPolicy(JSON.parse(POSTGRES_POLICY));
+        if (errors.length > 0) throw new Error(errors.join('; '));
+        defaultConnectionPolicy = policy;
+      } catch (error) {
+        console.error('[Policy] Invalid POSTGRES_POLICY, hiding every table:', error.message);
+        defaultConnectionPolicy = { tables: { allow: [], deny: [] }, columns: { deny: [] }, masks: [] };
+      }
+    }
+  }
+  return defaultConnectionPolicy;
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.trim().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+function compileColumnPattern(pattern) {
+  const at = pattern.lastIndexOf('.');
+  return { table: globToRegExp(pattern.slice(0, at)), column: globToRegExp(pattern.slice(at + 1)) };
+}
+
+// Identifies the policy rows were masked under, so stored rows are not reused once it changes
+function policyFingerprint(connection) {
+  return crypto.createHash('sha256').update(JSON.stringify(connection.config.policy || null)).digest('hex').slice(0, 16);
+}
+
+function compilePolicy(policy) {
+  if (!policy) return null;
+  if (!compiledPolicies.has(policy)) {
+    const tables = policy.tables || {};
+    compiledPolicies.set(policy, {
+      allow: tables.allow ? tables.allow.map(globToRegExp) : null,
+      deny: (tables.deny || []).map(globToRegExp),
+      deniedColumns: ((policy.columns && policy.columns.deny) || []).map(compileColumnPattern),
+      masks: (policy.masks || []).map(mask => ({ ...compileColumnPattern(mask.column), rule: mask.rule }))
+    });
+  }
+  return compiledPolicies.get(policy);
+}
+
+// Names a table answers to: as listed in the snapshot, bare and schema-qualified
+const tableNames = table => [table.name, table.table, table.schema && `${table.schema}.${table.table}`].filter(Boolean);
+const matchesAny = (patterns, names) => patterns.some(pattern => names.some(name => pattern.test(name)));
+
+function isTableVisible(compiled, names) {
+  return (!compiled.allow || matchesAny(compiled.allow, names)) && !matchesAny(compiled.deny, names);
+}
+
+function columnRule(rules, names, columnName) {
+  return rules.find(rule => names.some(name => rule.table.test(name)) && rule.column.test(columnName)) || null;
+}
+
+// Hidden tables, denied columns (and the keys built on them) are dropped; masked columns are flagged
+function applySchemaPolicy(snapshot, connection) {
+  const compiled = compilePolicy(connection.config.policy);
+  if (!compiled) return snapshot;
+  const cached = policySnapshots.get(snapshot);
+  if (cached && cached.policy === connection.config.policy) return cached.snapshot;
+
+  const tables = [];
+  for (const table of snapshot.tables) {
+    const names = tableNames(table);
+    if (!isTableVisible(compiled, names)) continue;
+    const visible = col => !columnRule(compiled.deniedColumns, names, col);
+    const allVisible = columns => columns.every(visible);
+    tables.push({
+      ...table,
+      columns: table.columns.filter(col => visible(col.name)).map(col => {
+        const mask = columnRule(compiled.masks, names, col.name);
+        return mask ? { ...col, masked: mask.rule } : col;
+      }),
+      primary_key: allVisible(table.primary_key || []) ? table.primary_key : [],
+      foreign_keys: (table.foreign_keys || []).filter(fk => allVisible(fk.columns)),
+      unique_constraints: (table.unique_constraints || []).filter(unique => allVisible(unique.columns)),
+      indexes: (table.indexes || []).filter(index => allVisible(index.columns || []))
+    });
+  }
+  const visibleNames = new Set(tables.flatMap(tableNames));
+  for (const table of tables) {
+    table.foreign_keys = table.foreign_keys.filter(fk => visibleNames.has(fk.referenced_table));
+  }
+
+  const filtered = { ...snapshot, tables };
+  policySnapshots.set(snapshot, { policy: connection.config.policy, snapshot: filtered });
+  return filtered;
+}
+
+// Split SQL into identifier references (`a`, `"a"."b"`, `t.*`) and the symbols between them,
+// skipping literals and comments. Quoted identifiers follow the dialect's lexer rules.
+function tokenizeSQL(sql, dialect) {
+  const { dollarQuotes, bracketIdentifiers, backslashEscapes } = dialect.lexer;
+  const doubleQuotedStrings = dialect.name === 'mysql';
+  const tokens = [];
+  const word = /[A-Za-z_][A-Za-z0-9_$]*/y;
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+    } else if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (ch === '\'' || ch === '"' || ch === '`' || (ch === '[' && bracketIdentifiers)) {
+      const close = ch === '[' ? ']' : ch;
+      const isString = ch === '\'' || (ch === '"' && doubleQuotedStrings);
+      const escapes = ch === '\'' && (backslashEscapes || (dollarQuotes && /[eE]$/.test(sql.slice(0, i))));
+      let j = i + 1;
+      let value = '';
+      while (j < sql.length) {
+        if (escapes && sql[j] === '\\') {
+          value += sql.slice(j, j + 2);
+          j += 2;
+        } else if (sql[j] === close && sql[j + 1] === close) {
+          value += close;
+          j += 2;
+        } else if (sql[j] === close) {
+          break;
+        } else {
+          value += sql[j++];
+        }
+      }
+      tokens.push({ type: isString ? 'literal' : 'identifier', value, start: i, end: j + 1 });
+      i = j + 1;
+    } else if (ch === '$' && dollarQuotes && /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.test(sql.slice(i))) {
+      const tag = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i))[0];
+      const closeAt = sql.indexOf(tag, i + tag.length);
+      const end = closeAt === -1 ? sql.length : closeAt + tag.length;
+      tokens.push({ type: 'literal', value: sql.slice(i, end), start: i, end });
+      i = end;
+    } else {
+      word.lastIndex = i;
+      const match = word.exec(sql);
+      if (match) {
+        tokens.push({ type: 'word', value: match[0], start: i, end: i + match[0].length });
+        i += match[0].length;
+      } else if (/[0-9]/.test(ch)) {
+        const number = /[0-9.eE]+/y;
+        number.lastIndex = i;
+        const end = i + number.exec(sql)[0].length;
+        tokens.push({ type: 'literal', value: sql.slice(i, end), start: i, end });
+        i = end;
+      } else {
+        tokens.push({ type: 'symbol', value: ch, start: i, end: i + 1 });
+        i++;
+      }
+    }
+  }
+  return tokens;
+}
+
+const TABLE_POSITION_KEYWORDS = ['FROM', 'JOIN', 'APPLY'];
+const CLAUSE_KEYWORDS = ['SELECT', 'WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'ON', 'USING', 'UNION', 'INTERSECT', 'EXCEPT', 'WINDOW', 'FETCH'];
+const SELECT_LIST_END_KEYWORDS = ['FROM', 'UNION', 'INTERSECT', 'EXCEPT', 'WHERE', 'GROUP', 'ORDER', 'LIMIT'];
+// Words that may follow a table in a FROM clause without being its alias
+const NON_ALIAS_KEYWORDS = new Set([...CLAUSE_KEYWORDS, 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL',
+  'LATERAL', 'APPLY', 'WITH', 'TABLESAMPLE', 'FOR', 'RETURNING', 'INTO']);
+
+// Identifier references with their position, whether they name a table (after FROM/JOIN,
+// or in a FROM list) and whether they are a plain item of an outermost SELECT list.
+// `relations` holds the lowercased names a row source can be referred to by (tables,
+// schema-qualified tables and aliases), `stars` the `*` and `t.*` select items.
+function analyzeSQLReferences(sql, dialect) {
+  const tokens = tokenizeSQL(sql, dialect);
+  const isName = token => token && (token.type === 'word' || token.type === 'identifier');
+  const keyword = token => (token && token.type === 'word' ? token.value.toUpperCase() : null);
+  const refs = [];
+  const stars = [];
+  const relations = new Set();
+  const aliasTokens = new Set();
+  const clauses = [];
+  const selectItems = [];
+  const derived = [];
+  let depth = 0;
+
+  // `[AS] alias` after the row source ending at token index `end`
+  const readAlias = end => {
+    let k = end + 1;
+    if (keyword(tokens[k]) === 'AS') k++;
+    else if (!isName(tokens[k]) || NON_ALIAS_KEYWORDS.has(keyword(tokens[k]))) return;
+    if (!isName(tokens[k])) return;
+    for (let m = end + 1; m <= k; m++) aliasTokens.add(m);
+    relations.add(tokens[k].value.toLowerCase());
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'symbol' && token.value === '(') {
+      const previous = tokens[i - 1];
+      derived.push(TABLE_POSITION_KEYWORDS.includes(keyword(previous)) || keyword(previous) === 'LATERAL' ||
+        (previous && previous.value === ',' && clauses[depth] === 'from'));
+      depth++;
+    }
+    if (token.type === 'symbol' && token.value === ')') {
+      depth = Math.max(0, depth - 1);
+      if (derived.pop()) readAlias(i);
+    }
+    if (TABLE_POSITION_KEYWORDS.includes(keyword(token))) clauses[depth] = 'from';
+    else if (CLAUSE_KEYWORDS.includes(keyword(token))) clauses[depth] = 'other';
+
+    if (token.type === 'symbol' && token.value === '*') {
+      const previous = tokens[i - 1];
+      const following = tokens[i + 1];
+      if ((['SELECT', 'DISTINCT', 'ALL'].includes(keyword(previous)) || (previous && previous.value === ',')) &&
+          (!following || following.value === ',' || keyword(following) === 'FROM')) {
+        stars.push({ start: token.start, end: token.end });
+      }
+    }
+
+    if (depth === 0 && keyword(token) === 'SELECT') {
+      let j = i + 1;
+      while (['DISTINCT', 'ALL'].includes(keyword(tokens[j]))) j++;
+      if (keyword(tokens[j]) === 'TOP') {
+        j += tokens[j + 1] && tokens[j + 1].value === '(' ? 4 : 2;
+      }
+      let itemStart = j;
+      let itemDepth = 0;
+      const closeItem = end => selectItems.push(tokens.slice(itemStart, end));
+      for (; j < tokens.length; j++) {
+        const value = tokens[j].value;
+        if (value === '(') itemDepth++;
+        else if (value === ')') itemDepth--;
+        if (itemDepth < 0 || (itemDepth === 0 && SELECT_LIST_END_KEYWORDS.includes(keyword(tokens[j])))) break;
+        if (itemDepth === 0 && value === ',') {
+          closeItem(j);
+          itemStart = j + 1;
+        }
+      }
+      closeItem(j);
+    }
+
+    if (isName(token) && !aliasTokens.has(i) && !(tokens[i - 1] && tokens[i - 1].value === '.' && tokens[i - 1].type === 'symbol')) {
+      const parts = [token.value];
+      let j = i;
+      while (tokens[j + 1] && tokens[j + 1].value === '.' && tokens[j + 1].type === 'symbol' &&
+          (isName(tokens[j + 2]) || (tokens[j + 2] && tokens[j + 2].value === '*'))) {
+        parts.push(tokens[j + 2].value);
+        j += 2;
+      }
+      if (parts[parts.length - 1] === '*') {
+        stars.push({ start: token.start, end: tokens[j].end });
+        continue;
+      }
+      // Function calls are not column references (their arguments are scanned on their own)
+      if (tokens[j + 1] && tokens[j + 1].value === '(' && token.type === 'word') continue;
+      // Neither are CTE names: WITH name AS (...)
+      if (keyword(tokens[j + 1]) === 'AS' && tokens[j + 2] && tokens[j + 2].value === '(') continue;
+      const previous = tokens[i - 1];
+      const isTable = TABLE_POSITION_KEYWORDS.includes(keyword(previous)) ||
+        (previous && previous.value === ',' && clauses[depth] === 'from');
+      if (isTable) {
+        referenceNames(parts).forEach(name => relations.add(name.toLowerCase()));
+        readAlias(j);
+      }
+      refs.push({ parts, start: token.start, end: tokens[j].end, table: isTable });
+    }
+  }
+
+  // A plain item is a lone column reference (or star), without alias or expression
+  const plainRanges = selectItems
+    .filter(item => item.length > 0 && item.length % 2 === 1 && item.every((token, k) => (k % 2 === 1
+      ? token.value === '.'
+      : isName(token) || (k === item.length - 1 && token.value === '*'))))
+    .map(item => [item[0].start, item[item.length - 1].end]);
+  for (const ref of [...refs, ...stars]) {
+    ref.plain = plainRanges.some(([start, end]) => ref.start === start && ref.end === end);
+  }
+  return { refs, stars, relations };
+}
+
+// Shape of the outermost SELECT: the output name of each item of its list (null for `*` and
+// unaliased expressions) and whether it has TOP, ORDER BY or OFFSET/FETCH/LIMIT at the top level.
+function describeOuterSelect(sql, dialect) {
+  const tokens = tokenizeSQL(sql, dialect);
+  const isName = token => token && (token.type === 'word' || token.type === 'identifier');
+  const keyword = token => (token && token.type === 'word' ? token.value.toUpperCase() : null);
+  const shape = { columns: [], top: false, orderBy: false, limited: false };
+  let depth = 0;
+  let listEnd = -1;
+  for (let i = 0; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (tokens[i].type === 'symbol' && value === '(') depth++;
+    else if (tokens[i].type === 'symbol' && value === ')') depth = Math.max(0, depth - 1);
+    if (depth !== 0) continue;
+    if (keyword(tokens[i]) === 'ORDER' && keyword(tokens[i + 1]) === 'BY') shape.orderBy = true;
+    if (['LIMIT', 'OFFSET', 'FETCH'].includes(keyword(tokens[i]))) shape.limited = true;
+    if (keyword(tokens[i]) !== 'SELECT' || listEnd !== -1) continue;
+
+    let j = i + 1;
+    while (['DISTINCT', 'ALL'].includes(keyword(tokens[j]))) j++;
+    if (keyword(tokens[j]) === 'TOP') {
+      shape.top = true;
+      j += tokens[j + 1] && tokens[j + 1].value === '(' ? 4 : 2;
+      if (keyword(tokens[j]) === 'PERCENT') j++;
+      if (keyword(tokens[j]) === 'WITH' && keyword(tokens[j + 1]) === 'TIES') j += 2;
+    }
+    const items = [];
+    let itemStart = j;
+    let itemDepth = 0;
+    for (; j < tokens.length; j++) {
+      const itemValue = tokens[j].value;
+      if (itemValue === '(') itemDepth++;
+      else if (itemValue === ')') itemDepth--;
+      if (itemDepth < 0 || (itemDepth === 0 && SELECT_LIST_END_KEYWORDS.includes(keyword(tokens[j])))) break;
+      if (itemDepth === 0 && itemValue === ',') {
+        items.push(tokens.slice(itemStart, j));
+        itemStart = j + 1;
+      }
+    }
+    items.push(tokens.slice(itemStart, j));
+    listEnd = j;
+
+    shape.columns = items.map(item => {
+      const last = item[item.length - 1];
+      const previous = item[item.length - 2];
+      if (!isName(last)) return null;
+      if (item.length === 1) return last.value;
+      if (previous.value === '.') {
+        // A plain (possibly qualified) column reference keeps its own name
+        const plain = item.every((token, k) => (k % 2 === 1 ? token.value === '.' : isName(token)));
+        return plain ? last.value : null;
+      }
+      if (keyword(previous) === 'AS') return last.value;
+      return ['END', 'NULL', 'TRUE', 'FALSE'].includes(keyword(last)) ? null : last.value;
+    });
+  }
+  return shape;
+}
+
+// SQL Server page of a statement with OFFSET ... FETCH, which must follow an ORDER BY: the
+// statement's own, or one that keeps the engine's order. null when the statement already
+// limits its rows with TOP or OFFSET, so the page has to be read by skipping rows.
+function offsetFetchPageQuery(statement, limit, offset) {
+  const shape = describeOuterSelect(statement, DIALECTS.mssql);
+  if (shape.top || shape.limited) return null;
+  const orderBy = shape.orderBy ? '' : 'ORDER BY (SELECT NULL) ';
+  return `${statement}\n${orderBy}OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY`;
+}
+
+// Names a table reference in SQL may stand for: bare and schema-qualified
+const referenceNames = parts => [parts[parts.length - 1], parts.length > 1 ? parts.slice(-2).join('.') : null].filter(Boolean);
+
+// Column rules whose table is referenced by the statement
+function applicableColumnRules(rules, tableRefs) {
+  return rules.filter(rule => tableRefs.some(ref => referenceNames(ref.parts).some(name => rule.table.test(name))));
+}
+
+// Check SQL against the connection's policy before it runs. Throws SQLGuardError with
+// code table_not_allowed, column_not_allowed or masked_column_restricted.
+async function enforceSQLPolicy(sql, connection) {
+  const compiled = compilePolicy(connection.config.policy);
+  if (!compiled) return;
+  const { refs, stars, relations } = analyzeSQLReferences(guardSQLStatement(sql, connection.dialect), connection.dialect);
+  const tableRefs = refs.filter(ref => ref.table);
+  const columnRefs = refs.filter(ref => !ref.table);
+
+  const snapshot = await loadSchemaSnapshot(connection);
+  const hidden = snapshot.tables.filter(table => !isTableVisible(compiled, tableNames(table)));
+  const visibleBareNames = new Set(snapshot.tables
+    .filter(table => isTableVisible(compiled, tableNames(table)))
+    .map(table => (table.table || table.name).toLowerCase()));
+  for (const ref of tableRefs) {
+    const names = referenceNames(ref.parts).map(name => name.toLowerCase());
+    const match = hidden.find(table => {
+      const qualified = table.schema ? `${table.schema}.${table.table}`.toLowerCase() : null;
+      const bare = (table.table || table.name).toLowerCase();
+      return names.includes(table.name.toLowerCase()) || (qualified && names.includes(qualified)) ||
+        (ref.parts.length === 1 && names[0] === bare && !visibleBareNames.has(bare));
+    });
+    if (match) {
+      throw new SQLGuardError('table_not_allowed', `Table ${ref.parts.join('.')} is not available on this connection`, {
+        table: ref.parts.join('.')
+      });
+    }
+  }
+
+  const denied = applicableColumnRules(compiled.deniedColumns, tableRefs);
+  if (denied.length > 0 && stars.length > 0) {
+    throw new SQLGuardError('column_not_allowed', 'SELECT * is not allowed on tables with restricted columns; list the columns explicitly');
+  }
+  for (const ref of columnRefs) {
+    const column = ref.parts[ref.parts.length - 1];
+    if (denied.some(rule => rule.column.test(column))) {
+      throw new SQLGuardError('column_not_allowed', `Column ${column} is not available on this connection`, { column });
+    }
+  }
+
+  const masks = applicableColumnRules(compiled.masks, tableRefs);
+  if (masks.length > 0 && stars.some(star => !star.plain)) {
+    throw new SQLGuardError('masked_column_restricted',
+      'Tables with masked columns can only be expanded with * as a plain item of the outermost SELECT list');
+  }
+
+  // A table or alias used as a value stands for the whole row (row_to_json(e), SELECT e, (e).ssn),
+  // which would carry denied and masked columns past the checks below
+  if (denied.length > 0 || masks.length > 0) {
+    const referenced = snapshot.tables.filter(table => tableRefs.some(ref => referenceNames(ref.parts)
+      .some(name => tableNames(table).some(tableName => tableName.toLowerCase() === name.toLowerCase()))));
+    const columnNames = new Set(referenced.flatMap(table => table.columns.map(column => column.name.toLowerCase())));
+    for (const ref of columnRefs) {
+      const name = ref.parts.join('.').toLowerCase();
+      if (ref.parts.length > 2 || !relations.has(name) || (ref.parts.length === 1 && columnNames.has(name))) continue;
+      throw new SQLGuardError(denied.length > 0 ? 'column_not_allowed' : 'masked_column_restricted',
+        `Whole-row reference ${ref.parts.join('.')} is not allowed on tables with restricted columns; list the columns explicitly`,
+        { reference: ref.parts.join('.') });
+    }
+  }
+
+  for (const ref of columnRefs) {
+    const column = ref.parts[ref.parts.length - 1];
+    if (!ref.plain && masks.some(rule => rule.column.test(column))) {
+      throw new SQLGuardError('masked_column_restricted',
+        `Column ${column} is masked: it can only be selected as a plain column, not filtered, joined, sorted, grouped, aliased or transformed`,
+        { column });
+    }
+  }
+}
+
+function maskValue(value, rule, connection) {
+  if (value === null || value === undefined) return value;
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (rule === 'redact') return '[REDACTED]';
+  if (rule === 'hash') {
+    return crypto.createHmac('sha256', POLICY_MASK_SECRET || connection.id).update(text).digest('hex').slice(0, 16);
+  }
+  // partial: keep the first character and domain of an email, the last 4 characters of anything else
+  const email = /^([^@\s])[^@\s]*@([^@\s]+)$/.exec(text);
+  if (email) return `${email[1]}***@${email[2]}`;
+  return text.length <= 4 ? '*'.repeat(text.length) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+}
+
+// Drop denied and mask masked columns of rows returned by `sql`, matching result keys by column name
+function applyRowPolicy(rows, sql, connection) {
+  const compiled = compilePolicy(connection.config.policy);
+  if (!compiled || !rows || rows.length === 0 || !sql) return rows;
+  let tableRefs;
+  try {
+    tableRefs = analyzeSQLReferences(sql, connection.dialect).refs.filter(ref => ref.table);
+  } catch (error) {
+    tableRefs = [];
+  }
+  // Without a recognisable table every rule applies
+  const denied = tableRefs.length > 0 ? applicableColumnRules(compiled.deniedColumns, tableRefs) : compiled.deniedColumns;
+  const masks = tableRefs.length > 0 ? applicableColumnRules(compiled.masks, tableRefs) : compiled.masks;
+  if (denied.length === 0 && masks.length === 0) return rows;
+
+  // JSON values (json_agg, row_to_json) can nest rows: their keys get the same treatment
+  const scrub = value => {
+    if (Array.isArray(value)) return value.map(scrub);
+    if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) return value;
+    const masked = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (denied.some(rule => rule.column.test(key))) continue;
+      const mask = masks.find(rule => rule.column.test(key));
+      masked[key] = mask ? maskValue(item, mask.rule, connection) : scrub(item);
+    }
+    return masked;
+  };
+  return rows.map(scrub);
+}
+
+/** === Table Retrieval === **/
+// BM25 index over the schema snapshot so candidate tables can be ranked locally:
+// it answers table selection on its own when no model is available (or one table
+// clearly wins) and narrows the list sent to the model on large schemas.
+const RETRIEVAL_STOPWORDS = new Set([
+  'a', 'an', 'the', 'of', 'for', 'by', 'in', 'on', 'at', 'with', 'and', 'or', 'to', 'from', 'per', 'each',
+  'show', 'me', 'list', 'get', 'give', 'find', 'what', 'which', 'who', 'how', 'many', 'much', 'all',
+  'is', 'are', 'was', 'were', 'be', 'do', 'does', 'did', 'have', 'has', 'i', 'we', 'you', 'it',
+  'my', 'our', 'their', 'this', 'that', 'there', 'top', 'last', 'please'
+]);
+
+// Built-in synonyms; extend with TABLE_RETRIEVAL_SYNONYMS ({"term": ["synonym", ...]})
+const RETRIEVAL_SYNONYMS = {
+  customer: ['client', 'buyer', 'account'],
+  order: ['purchase', 'sale', 'transaction'],
+  product: ['item', 'sku', 'article'],
+  user: ['member', 'account', 'person'],
+  employee: ['staff', 'worker'],
+  invoice: ['bill', 'billing'],
+  payment: ['charge', 'transaction'],
+  revenue: ['sale', 'income', 'amount'],
+  category: ['group', 'type']
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const tableIndexCache = new WeakMap();
+
+// Naive singularization so "orders"/"order" and "categories"/"category" match
+function stemToken(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 4 && /(sses|xes|ches|shes)$/.test(token)) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) return token.slice(0, -1);
+  return token;
+}
+
+// Split identifiers and free text into stemmed terms: camelCase, snake_case and punctuation are boundaries
+function tokenizeForRetrieval(text) {
+  if (!text) return [];
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !RETRIEVAL_STOPWORDS.has(token))
+    .map(stemToken);
+}
+
+function loadRetrievalSynonyms() {
+  const synonyms = new Map();
+  const add = (a, b) => {
+    if (!synonyms.has(a)) synonyms.set(a, new Set());
+    synonyms.get(a).add(b);
+  };
+  let custom = {};
+  if (process.env.TABLE_RETRIEVAL_SYNONYMS) {
+    try {
+      custom = JSON.parse(process.env.TABLE_RETRIEVAL_SYNONYMS);
+    } catch (error) {
+      console.error('Invalid TABLE_RETRIEVAL_SYNONYMS, ignoring:', error.message);
+    }
+  }
+  for (const [term, list] of Object.entries({ ...RETRIEVAL_SYNONYMS, ...custom })) {
+    const key = stemToken(term.toLowerCase());
+    for (const synonym of [].concat(list)) {
+      for (const token of tokenizeForRetrieval(synonym)) {
+        add(key, token);
+        add(token, key);
+      }
+    }
+  }
+  return synonyms;
+}
+
+const retrievalSynonyms = loadRetrievalSynonyms();
+
+// Table names weigh more than column names and comments
+function buildTableIndex(snapshot) {
+  const documents = snapshot.tables.map(table => {
+    const terms = [
+      ...tokenizeForRetrieval(table.name), ...tokenizeForRetrieval(table.name), ...tokenizeForRetrieval(table.name),
+      ...tokenizeForRetrieval(table.comment), ...tokenizeForRetrieval(table.comment),
+      ...table.columns.flatMap(col => [...tokenizeForRetrieval(col.name), ...tokenizeForRetrieval(col.comment)])
+    ];
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return { name: table.name, length: terms.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  for (const doc of documents) {
+    for (const term of doc.frequencies.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+  return { documents, documentFrequency, averageLength };
+}
+
+function getTableIndex(snapshot) {
+  if (!tableIndexCache.has(snapshot)) {
+    tableIndexCache.set(snapshot, buildTableIndex(snapshot));
+  }
+  return tableIndexCache.get(snapshot);
+}
+
+// Rank tables for a question; synonym matches count half as much as literal ones
+function rankTables(question, index) {
+  const queryWeights = new Map();
+  for (const term of tokenizeForRetrieval(question)) {
+    queryWeights.set(term, Math.max(queryWeights.get(term) || 0, 1));
+    for (const synonym of retrievalSynonyms.get(term) || []) {
+      queryWeights.set(synonym, Math.max(queryWeights.get(synonym) || 0, 0.5));
+    }
+  }
+
+  const total = index.documents.length;
+  return index.documents
+    .map(doc => {
+      let score = 0;
+      for (const [term, weight] of queryWeights) {
+        const frequency = doc.frequencies.get(term);
+        if (!frequency) continue;
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / (index.averageLength || 1)));
+        score += weight * idf * (frequency * (BM25_K1 + 1)) / norm;
+      }
+      return { name: doc.name, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Tables from the previous turn when the question reads like a follow-up
+function followUpTables(question, chatHistory) {
+  const followUpIndicators = ['more', 'details', 'show', 'filter', 'sort', 'order', 'limit', 'top', 'recent', 'latest', 'previous', 'last'];
+  const questionLower = question.toLowerCase();
+  if (chatHistory.length > 0 && followUpIndicators.some(indicator => questionLower.includes(indicator))) {
+    return chatHistory[chatHistory.length - 1].tables_used || [];
+  }
+  return [];
+}
+
+// Helper functions
+function generateSessionId() {
+  return uuidv4();
+}
+
+function cleanSQLResponse(sqlResponse) {
+  // Remove markdown code blocks
+  let cleaned = sqlResponse.replace(/```sql\s*/g, '').replace(/```\s*$/g, '');
+  cleaned = cleaned.replace(/```\s*/g, '').replace(/```\s*$/g, '');
+  
+  // Remove any leading/trailing whitespace
+  cleaned = cleaned.trim();
+  
+  // Ensure it ends with semicolon
+  if (!cleaned.endsWith(';')) {
+    cleaned += ';';
+  }
+  
+  return cleaned;
+}
+
+function convertDecimalsToFloats(obj) {
+  if (obj === null || obj === undefined) return obj;
+  if (typeof obj === 'number') return obj;
+  if (typeof obj === 'string') return obj;
+  if (typeof obj === 'boolean') return obj;
+  
+  if (Array.isArray(obj)) {
+    return obj.map(item => convertDecimalsToFloats(item));
+  }
+  
+  if (typeof obj === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+      if (value && typeof value === 'object' && value.constructor && value.constructor.name === 'Decimal') {
+        result[key] = parseFloat(value.toString());
+      } else {
+        result[key] = convertDecimalsToFloats(value);
+      }
+    }
+    return result;
+  }
+  
+  return obj;
+}
+
+// Database functions
+async function getAllTables(connection) {
+  if (!connection) throw new Error('No database connection');
+  try {
+    const snapshot = await getSchemaSnapshot(connection);
+    return snapshot.tables.map(table => table.name);
+  } catch (error) {
+    console.error('Error getting tables:', error);
+    throw error;
+  }
+}
+
+// Full table description from the schema snapshot (columns, keys, indexes, comments)
+async function getTableSchema(tableName, connection) {
+  const snapshot = await getSchemaSnapshot(connection);
+  return snapshot.tables.find(table => table.name === tableName) || null;
+}
+
+async function getTableColumns(tableName, connection) {
+  if (!connection) throw new Error('No database connection');
+  try {
+    const table = await getTableSchema(tableName, connection);
+    if (table) {
+      return table.columns;
+    }
+    // Not in the cached snapshot (created since): ask the database directly, unless the policy hides it
+    const compiled = compilePolicy(connection.config.policy);
+    const names = [tableName];
+    if (compiled && !isTableVisible(compiled, names)) return [];
+    const result = await connection.knex.raw(connection.dialect.listColumnsSql, [tableName]);
+    return connection.dialect.rowsFromResult(result)
+      .filter(row => !compiled || !columnRule(compiled.deniedColumns, names, row.column_name))
+      .map(row => ({
+        name: row.column_name,
+        type: row.data_type,
+        nullable: row.is_nullable === 'YES'
+      }));
+  } catch (error) {
+    console.error(`Error getting columns for table ${tableName}:`, error);
+    throw error;
+  }
+}
+
+// Row count estimate from the database statistics (exact count where none are kept).
+// Views have no statistics and are not counted.
+async function estimateTableRowCount(table, connection) {
+  const { dialect } = connection;
+  if (table.kind === 'view') return null;
+  try {
+    if (dialect.rowEstimateSql) {
+      const rows = await queryRows(connection, dialect.rowEstimateSql, [table.schema, table.table]);
+      const estimate = rows.length > 0 && rows[0].estimate !== null ? Number(rows[0].estimate) : null;
+      return estimate !== null && estimate >= 0 ? estimate : null;
+    }
+    const { rows } = await executeSQLQuery(`SELECT COUNT(*) AS estimate FROM ${quoteTableReference(table, dialect)}`, connection, { maxRows: 1, mask: false });
+    return rows.length > 0 ? Number(rows[0].estimate) : null;
+  } catch (error) {
+    console.error('Error estimating row count:', error);
+    return null;
+  }
+}
+
+// Per-column null/distinct counts and min/max over a set of sample rows
+function summarizeColumns(columns, rows) {
+  return columns.map(col => {
+    const values = rows.map(row => row[col.name]).filter(value => value !== null && value !== undefined);
+    const distinct = [...new Set(values.map(value => (typeof value === 'object' ? JSON.stringify(value) : value)))];
+    const comparable = values.filter(value => typeof value === 'number' || typeof value === 'string');
+    const sorted = [...comparable].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return {
+      name: col.name,
+      type: col.type,
+      null_count: rows.length - values.length,
+      distinct_count: distinct.length,
+      min: sorted.length > 0 ? sorted[0] : null,
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      example_values: distinct.slice(0, 3)
+    };
+  });
+}
+
+// Run generated SQL inside the sandbox: guard check, read-only transaction that is
+// always rolled back, statement timeout and a hard row cap (one extra row is
+// fetched to detect truncation). Rows come back with the connection's masking applied,
+// except for internal counts (`mask: false`).
+async function executeSQLQuery(sqlQuery, connection, { timeoutMs = SQL_STATEMENT_TIMEOUT_MS, maxRows = SQL_MAX_ROWS, mask = true } = {}) {
+  if (!connection) throw new Error('No database connection');
+  const { dialect } = connection;
+  const statement = guardSQLStatement(sqlQuery, dialect);
+  const rowLimit = maxRows + 1;
+
+  let trx;
+  try {
+    trx = await connection.knex.transaction(dialect.readOnlyTransaction ? { readOnly: true } : {});
+    await dialect.beginSandbox(trx, { timeoutMs, rowLimit });
+    const result = await trx
+      .raw(dialect.toRawSql(dialect.applyRowLimit(statement, rowLimit)))
+      .timeout(timeoutMs + 1000, { cancel: dialect.canCancel });
+
+    // Convert results to plain objects and handle special types
+    const rows = (dialect.rowsFromResult(result) || []).map(row => {
+      const plainRow = {};
+      for (const [key, value] of Object.entries(row)) {
+        if (value && typeof value === 'object' && value.toISOString) {
+          plainRow[key] = value.toISOString();
+        } else if (value && typeof value === 'object' && value.constructor && value.constructor.name === 'Decimal') {
+          plainRow[key] = parseFloat(value.toString());
+        } else {
+          plainRow[key] = value;
+        }
+      }
+      return plainRow;
+    });
+    const truncated = rows.length > maxRows;
+    const limited = truncated ? rows.slice(0, maxRows) : rows;
+    return {
+      rows: mask ? applyRowPolicy(limited, statement, connection) : limited,
+      truncated,
+      row_limit: maxRows
+    };
+  } catch (error) {
+    console.error('Error executing SQL query:', error);
+    const guardCode = error.name === 'KnexTimeoutError' ? 'statement_timeout' : dialect.classifyError(error);
+    if (guardCode === 'statement_timeout') {
+      throw new SQLGuardError(guardCode, `Query exceeded the ${timeoutMs}ms statement timeout and was aborted`, { timeout_ms: timeoutMs });
+    }
+    if (guardCode === 'read_only_violation') {
+      throw new SQLGuardError(guardCode, 'Query attempted to modify data in a read-only transaction');
+    }
+    throw new Error(`SQL execution failed: ${error.message}`);
+  } finally {
+    if (trx) {
+      await dialect.endSandbox(trx).catch(() => {});
+      await trx.rollback().catch(() => {});
+    }
+  }
+}
+
+/** === Query Results === **/
+// Every successful /ask execution is recorded as a result ({ result_id, connection_id, sql, ... })
+// so the full result can be paged later by re-running the query one page at a time.
+// Records live in the `query_results` collection; recently used ones are also kept in memory.
+const queryResultCache = new Map();
+
+async function getQueryResultsCollection() {
+  const mongo = await getMongoClient();
+  return mongo.db(MONGODB_DB_NAME).collection('query_results');
+}
+
+function cacheQueryResult(record) {
+  queryResultCache.delete(record.result_id);
+  queryResultCache.set(record.result_id, record);
+  if (queryResultCache.size > QUERY_RESULT_CACHE_SIZE) {
+    queryResultCache.delete(queryResultCache.keys().next().value);
+  }
+}
+
+// `rows` are kept on the record only when they fit in RESULT_STORED_ROWS_MAX_BYTES
+async function saveQueryResult({ connectionId, ownerId, sql, question, sessionId, messageId, resultCount, truncated, rows = null, rowsPolicy = null }) {
+  const storedRows = rows && RESULT_STORED_ROWS_MAX_BYTES > 0 && Buffer.byteLength(JSON.stringify(rows)) <= RESULT_STORED_ROWS_MAX_BYTES
+    ? rows
+    : null;
+  const record = {
+    result_id: uuidv4(),
+    connection_id: connectionId,
+    owner_id: ownerId,
+    sql,
+    question,
+    session_id: sessionId,
+    message_id: messageId,
+    result_count: resultCount,
+    results_truncated: truncated,
+    rows: storedRows,
+    rows_policy: storedRows ? rowsPolicy : null,
+    created_at: new Date()
+  };
+  cacheQueryResult(record);
+  try {
+    const collection = await getQueryResultsCollection();
+    await collection.insertOne({ ...record });
+  } catch (error) {
+    console.error('Error saving query result:', error);
+  }
+  return record;
+}
+
+async function getQueryResult(resultId) {
+  if (queryResultCache.has(resultId)) {
+    return queryResultCache.get(resultId);
+  }
+  try {
+    const collection = await getQueryResultsCollection();
+    const record = await collection.findOne({ result_id: resultId }, { projection: { _id: 0 } });
+    if (record) cacheQueryResult(record);
+    return record;
+  } catch (error) {
+    console.error('Error loading query result:', error);
+    return null;
+  }
+}
+
+// Execute SQL in the sandbox and record the result so it can be paged and exported.
+// Used by /ask and report refreshes; the record belongs to `ownerId`. `audit` adds
+// source, userId and reportId to the audit log entry (see Audit Log). `keepRows` stores
+// the rows on the record (see saveQueryResult).
+async function executeAndRecordQuery(sql, connection, { ownerId = null, question = null, sessionId = null, messageId = null, audit = {}, keepRows = false } = {}) {
+  let execution;
+  let executionTime;
+  let result;
+  await auditedExecution({ source: 'ask', userId: ownerId, question, sessionId, messageId, ...audit }, sql, connection, async () => {
+    await enforceSQLPolicy(sql, connection);
+    const startTime = Date.now();
+    execution = await executeSQLQuery(sql, connection);
+    executionTime = Date.now() - startTime;
+    result = await saveQueryResult({
+      connectionId: connection.id,
+      ownerId,
+      sql,
+      question,
+      sessionId,
+      messageId,
+      resultCount: execution.rows.length,
+      truncated: execution.truncated,
+      rows: keepRows ? execution.rows : null,
+      rowsPolicy: keepRows ? policyFingerprint(connection) : null
+    });
+    return { row_count: execution.rows.length, truncated: execution.truncated, result_id: result.result_id, duration_ms: executionTime };
+  });
+  return { rows: execution.rows, truncated: execution.truncated, execution_time_ms: executionTime, result };
+}
+
+// Cursors are opaque to clients: base64url-encoded { offset }
+function encodeResultCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeResultCursor(cursor) {
+  if (cursor === undefined || cursor === '') return 0;
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Rows [offset, offset + limit) of a stored result, read through the SQL sandbox. The page
+// query asks for one extra row so the sandbox's truncation flag tells whether more exist.
+async function readResultRows(record, connection, { offset, limit }) {
+  const { dialect } = connection;
+  const statement = guardSQLStatement(record.sql, dialect);
+  // The policy may have changed since the result was recorded
+  await enforceSQLPolicy(statement, connection);
+  const pageSQL = dialect.pageQuery(statement, limit + 1, offset);
+  if (pageSQL) {
+    const page = await executeSQLQuery(pageSQL, connection, { maxRows: limit });
+    return { rows: page.rows, has_more: page.truncated };
+  }
+  // Statements that limit themselves (SQL Server TOP) are bounded by that limit, so skip rows
+  const page = await executeSQLQuery(statement, connection, { maxRows: offset + limit });
+  return { rows: page.rows.slice(offset), has_more: page.truncated };
+}
+
+async function countResultRows(record, connection) {
+  const statement = guardSQLStatement(record.sql, connection.dialect);
+  try {
+    const count = await executeSQLQuery(`SELECT COUNT(*) AS total FROM (\n${statement}\n) AS askbase_count`, connection, { maxRows: 1, mask: false });
+    return count.rows.length > 0 ? Number(Object.values(count.rows[0])[0]) : null;
+  } catch (error) {
+    console.error('Error counting result rows:', error.message);
+    return null;
+  }
+}
+
+async function fetchResultPage(record, connection, { offset, pageSize }) {
+  const { rows, has_more } = await readResultRows(record, connection, { offset, limit: pageSize });
+  return {
+    rows,
+    has_more,
+    next_cursor: has_more ? encodeResultCursor(offset + rows.length) : null,
+    total_count: await countResultRows(record, connection)
+  };
+}
+
+// All rows of a stored result in batches, up to RESULT_EXPORT_MAX_ROWS
+async function* iterateResultRows(record, connection, batchSize = RESULT_EXPORT_BATCH_SIZE) {
+  let offset = 0;
+  while (offset < RESULT_EXPORT_MAX_ROWS) {
+    const limit = Math.min(batchSize, RESULT_EXPORT_MAX_ROWS - offset);
+    const { rows, has_more } = await readResultRows(record, connection, { offset, limit });
+    if (rows.length > 0) yield rows;
+    offset += rows.length;
+    if (!has_more || rows.length === 0) return;
+  }
+}
+
+/** === Audit Log === **/
+// Every SQL execution made on behalf of a caller is written to the `audit_log` collection:
+//   { audit_id, at, source, user_id, connection_id, dialect, question, sql, tables, session_id,
+//     message_id, result_id, report_id, status, row_count, truncated, duration_ms, error, guard }
+// `source` is ask, report_refresh, report_schedule, result_page, result_export, result_chart or table_sample.
+// `status` is success, error, or blocked when the SQL guard or data access policy rejected the
+// statement before it ran. Writing the log never fails the request.
+const AUDIT_SOURCES = ['ask', 'report_refresh', 'report_schedule', 'result_page', 'result_export', 'result_chart', 'table_sample'];
+const AUDIT_STATUSES = ['success', 'blocked', 'error'];
+// Guard codes raised by the database while the statement ran, rather than before
+const RUNTIME_GUARD_CODES = ['statement_timeout', 'read_only_violation'];
+
+let auditIndexesEnsured = false;
+async function getAuditLogCollection() {
+  const mongo = await getMongoClient();
+  const collection = mongo.db(MONGODB_DB_NAME).collection('audit_log');
+  if (!auditIndexesEnsured) {
+    await collection.createIndex({ at: -1, audit_id: -1 });
+    await collection.createIndex({ user_id: 1, at: -1 });
+    await collection.createIndex({ tables: 1, at: -1 });
+    await collection.createIndex({ status: 1, at: -1 });
+    await collection.createIndex({ session_id: 1, message_id: 1 });
+    if (AUDIT_RETENTION_DAYS > 0) {
+      await collection.createIndex({ at: 1 }, { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 });
+    }
+    auditIndexesEnsured = true;
+  }
+  return collection;
+}
+
+// Tables read by a statement, lowercased so they can be searched
+function auditTables(sql, connection) {
+  try {
+    const { refs } = analyzeSQLReferences(sql, connection.dialect);
+    return [...new Set(refs.filter(ref => ref.table).map(ref => ref.parts.join('.').toLowerCase()))];
+  } catch (error) {
+    return [];
+  }
+}
+
+async function recordAudit(entry) {
+  try {
+    const collection = await getAuditLogCollection();
+    await collection.insertOne(entry);
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+}
+
+// Run `execute` and log it. `execute` resolves to { row_count, truncated, result_id, duration_ms }
+// (all optional); its errors are logged and rethrown.
+async function auditedExecution(context, sql, connection, execute) {
+  const startTime = Date.now();
+  const entry = {
+    audit_id: uuidv4(),
+    at: new Date(),
+    source: context.source,
+    user_id: context.userId === undefined ? null : context.userId,
+    connection_id: connection.id,
+    dialect: connection.dialect.name,
+    question: context.question || null,
+    sql,
+    tables: auditTables(sql, connection),
+    session_id: context.sessionId || null,
+    message_id: context.messageId === undefined ? null : context.messageId,
+    result_id: context.resultId || null,
+    report_id: context.reportId || null
+  };
+
+  try {
+    const outcome = (await execute()) || {};
+    await recordAudit({
+      ...entry,
+      result_id: outcome.result_id || entry.result_id,
+      status: 'success',
+      row_count: outcome.row_count === undefined ? null : outcome.row_count,
+      truncated: Boolean(outcome.truncated),
+      duration_ms: outcome.duration_ms === undefined ? Date.now() - startTime : outcome.duration_ms,
+      error: null,
+      guard: { decision: 'allowed', code: null }
+    });
+    return outcome;
+  } catch (error) {
+    const guardCode = error instanceof SQLGuardError ? error.code : null;
+    const blocked = Boolean(guardCode) && !RUNTIME_GUARD_CODES.includes(guardCode);
+    console.log(`📝 Audited ${blocked ? 'blocked' : 'failed'} ${entry.source} query on ${connection.id}`);
+    await recordAudit({
+      ...entry,
+      status: blocked ? 'blocked' : 'error',
+      row_count: null,
+      truncated: false,
+      duration_ms: Date.now() - startTime,
+      error: { message: error.message, code: guardCode },
+      guard: { decision: blocked ? 'blocked' : 'allowed', code: guardCode }
+    });
+    throw error;
+  }
+}
+
+function encodeAuditCursor(entry) {
+  return Buffer.from(JSON.stringify({ at: entry.at.toISOString(), id: entry.audit_id })).toString('base64url');
+}
+
+function decodeAuditCursor(cursor) {
+  try {
+    const { at, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(at);
+    return typeof id === 'string' && !Number.isNaN(date.getTime()) ? { at: date, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Mongo filter for GET /audit. Users only see their own executions; admins may filter by user_id.
+function buildAuditFilter(query, user) {
+  const errors = [];
+  const filter = {};
+  const at = {};
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (query[param] !== undefined) {
+      const date = new Date(query[param]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${param} must be an ISO date`);
+      } else {
+        at[operator] = date;
+      }
+    }
+  }
+  if (Object.keys(at).length > 0) filter.at = at;
+
+  if (!isAdmin(user)) {
+    filter.user_id = user.id;
+  } else if (query.user_id !== undefined) {
+    // Query strings can carry objects (?user_id[$ne]=x): only plain values reach Mongo
+    if (typeof query.user_id !== 'string') {
+      errors.push('user_id must be a string');
+    }
+    filter.user_id = String(query.user_id);
+  }
+  if (query.status !== undefined) {
+    if (!AUDIT_STATUSES.includes(query.status)) {
+      errors.push(`status must be one of: ${AUDIT_STATUSES.join(', ')}`);
+    }
+    filter.status = query.status;
+  }
+  if (query.source !== undefined) {
+    if (!AUDIT_SOURCES.includes(query.source)) {
+      errors.push(`source must be one of: ${AUDIT_SOURCES.join(', ')}`);
+    }
+    filter.source = query.source;
+  }
+  if (query.table !== undefined) filter.tables = String(query.table).toLowerCase();
+  for (const field of ['connection_id', 'session_id', 'report_id']) {
+    if (query[field] !== undefined) filter[field] = String(query[field]);
+  }
+  if (query.min_duration_ms !== undefined) {
+    const minDuration = Number(query.min_duration_ms);
+    if (!Number.isFinite(minDuration) || minDuration < 0) {
+      errors.push('min_duration_ms must be a non-negative number');
+    }
+    filter.duration_ms = { $gte: minDuration };
+  }
+  if (query.cursor !== undefined) {
+    const cursor = decodeAuditCursor(query.cursor);
+    if (!cursor) {
+      errors.push('cursor is not a valid audit cursor');
+    } else {
+      filter.$or = [{ at: { $lt: cursor.at } }, { at: cursor.at, audit_id: { $lt: cursor.id } }];
+    }
+  }
+  return { errors, filter };
+}
+
+/** === Result Export === **/
+// Streams a stored result as CSV, NDJSON or XLSX. Column types are inferred from the
+// first batch so spreadsheets get real numbers, dates and booleans.
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function inferColumnTypes(rows) {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  return columns.map(name => {
+    const values = rows.map(row => row[name]).filter(value => value !== null && value !== undefined);
+    let type = 'string';
+    if (values.length > 0 && values.every(value => typeof value === 'number')) {
+      type = 'number';
+    } else if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+      type = 'boolean';
+    } else if (values.length > 0 && values.every(value => typeof value === 'string' && ISO_DATE_PATTERN.test(value))) {
+      type = 'date';
+    } else if (values.some(value => typeof value === 'object')) {
+      type = 'json';
+    }
+    return { name, type };
+  });
+}
+
+// RFC 4180 field; text starting with a formula character is prefixed with ' so
+// spreadsheets do not evaluate it
+function escapeCSVField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toXLSXValue(value, type) {
+  if (value === null || value === undefined) return null;
+  if (type === 'number' && typeof value === 'number') return value;
+  if (type === 'boolean' && typeof value === 'boolean') return value;
+  if (type === 'date' && typeof value === 'string') {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// "Top 10 customers by revenue?" -> top-10-customers-by-revenue.csv
+function exportFilename(record, extension) {
+  const slug = String(record.question || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return `${slug || `result-${record.result_id.slice(0, 8)}`}.${extension}`;
+}
+
+class ClientDisconnectedError extends Error {
+  constructor() {
+    super('Client disconnected');
+    this.name = 'ClientDisconnectedError';
+  }
+}
+
+// Resolves once `res` takes more data; rejects when the client goes away so the export
+// stops reading rows instead of waiting for a 'drain' that never comes
+function writeChunk(res, chunk) {
+  if (res.destroyed) return Promise.reject(new ClientDisconnectedError());
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      res.off('drain', settle);
+      res.off('close', onClose);
+      res.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onClose = () => settle(new ClientDisconnectedError());
+    res.on('drain', settle);
+    res.on('close', onClose);
+    res.on('error', settle);
+  });
+}
+
+async function streamResultExport(record, connection, format, res) {
+  const batches = iterateResultRows(record, connection);
+  // Read the first batch before sending headers so query errors still get a JSON response
+  const first = await batches.next();
+  const firstRows = first.done ? [] : first.value;
+  const columns = inferColumnTypes(firstRows);
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${exportFilename(record, extension)}"`
+  });
+
+  let rowCount = 0;
+  const allBatches = async function* () {
+    if (firstRows.length > 0) yield firstRows;
+    for await (const rows of batches) {
+      if (res.destroyed) throw new ClientDisconnectedError();
+      yield rows;
+    }
+  };
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const worksheet = workbook.addWorksheet('Result');
+    worksheet.columns = columns.map(col => ({
+      header: col.name,
+      key: col.name,
+      width: Math.min(Math.max(col.name.length + 2, 12), 40),
+      style: col.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : undefined
+    }));
+    for await (const rows of allBatches()) {
+      for (const row of rows) {
+        worksheet.addRow(columns.map(col => toXLSXValue(row[col.name], col.type))).commit();
+      }
+      rowCount += rows.length;
+    }
+    worksheet.commit();
+    await workbook.commit();
+  } else {
+    if (format === 'csv') {
+      // BOM so spreadsheet applications detect UTF-8
+      await writeChunk(res, `\uFEFF${columns.map(col => escapeCSVField(col.name)).join(',')}\r\n`);
+    }
+    for await (const rows of allBatches()) {
+      const lines = rows.map(row => (format === 'csv'
+        ? `${columns.map(col => escapeCSVField(row[col.name])).join(',')}\r\n`
+        : `${JSON.stringify(row)}\n`));
+      await writeChunk(res, lines.join(''));
+      rowCount += rows.length;
+    }
+    res.end();
+  }
+  console.log(`📤 Exported ${rowCount} rows of result ${record.result_id} as ${format}`);
+  return rowCount;
+}
+
+// Shared by the result and session message export routes
+async function sendResultExport(record, req, res) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  try {
+    const connection = await getConnection(record.connection_id);
+    if (!connection) {
+      return res.status(410).json({
+        error: 'Connection not found',
+        message: `Connection ${record.connection_id} used by this result no longer exists`
+      });
+    }
+    await auditedExecution({
+      source: 'result_export',
+      userId: req.user.id,
+      question: record.question,
+      sessionId: record.session_id,
+      messageId: record.message_id,
+      resultId: record.result_id
+    }, record.sql, connection, async () => ({ row_count: await streamResultExport(record, connection, format, res) }));
+  } catch (error) {
+    if (error instanceof ClientDisconnectedError) {
+      console.log(`📤 Export of result ${record.result_id} stopped: client disconnected`);
+      return;
+    }
+    console.error('[Export] Error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    const status = error instanceof SQLGuardError ? (error.code === 'statement_timeout' ? 504 : 422) : 500;
+    res.status(status).json({ error: 'Failed to export result', message: error.message });
+  }
+}
+
+/** === Result Insights === **/
+// Statistics computed from the rows /ask returned, so answers quote real numbers instead
+// of ones the model makes up. summarizeResults() builds the structured `insights` of the
+// /ask response; formatInsightsDigest() and selectAnswerRows() turn them and the rows into
+// a size-bounded block for the answer prompt. Column roles come from the chart engine.
+const INSIGHTS_MAX_COLUMNS = 30;
+const INSIGHTS_TOP_VALUES = 5;
+const INSIGHTS_MAX_DELTAS = 12;
+const ANSWER_DIGEST_MAX_CHARS = 3000;
+const ANSWER_ROWS_MAX_CHARS = 4000;
+const ANSWER_MAX_ROWS = 20;
+const ANSWER_CELL_MAX_CHARS = 80;
+
+function roundStat(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function roundPercent(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentChange(from, to) {
+  return from === 0 ? null : roundPercent(((to - from) / Math.abs(from)) * 100);
+}
+
+// Category and period labels as they appear in insights, cut to ANSWER_CELL_MAX_CHARS
+function insightLabel(value) {
+  const label = chartLabel(value);
+  return label.length > ANSWER_CELL_MAX_CHARS ? `${label.slice(0, ANSWER_CELL_MAX_CHARS - 1)}…` : label;
+}
+
+function summarizeColumn(rows, column) {
+  const values = rows.map(row => row[column.name]);
+  const present = values.filter(value => value !== null && value !== undefined);
+  const summary = {
+    name: column.name,
+    role: column.role,
+    null_count: values.length - present.length,
+    distinct_count: new Set(present.map(chartLabel)).size
+  };
+
+  if (column.role === 'measure') {
+    const numbers = present.map(toChartNumber).filter(value => value !== null).sort((a, b) => a - b);
+    if (numbers.length > 0) {
+      const sum = numbers.reduce((total, value) => total + value, 0);
+      const middle = Math.floor(numbers.length / 2);
+      summary.min = numbers[0];
+      summary.max = numbers[numbers.length - 1];
+      summary.sum = roundStat(sum);
+      summary.mean = roundStat(sum / numbers.length);
+      summary.median = roundStat(numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2);
+    }
+  } else if (column.role === 'temporal') {
+    const nameHint = TEMPORAL_NAME_PATTERN.test(column.name);
+    const ordered = present
+      .map(value => ({ label: insightLabel(value), key: temporalKey(value, nameHint) }))
+      .sort((a, b) => a.key - b.key);
+    if (ordered.length > 0) {
+      summary.earliest = ordered[0].label;
+      summary.latest = ordered[ordered.length - 1].label;
+    }
+  } else {
+    const counts = new Map();
+    for (const value of present) {
+      const label = insightLabel(value);
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+    summary.top_values = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, INSIGHTS_TOP_VALUES)
+      .map(([value, count]) => ({ value, count }));
+  }
+  return summary;
+}
+
+// Categories ranked by their total of a measure ("the top customer is ...")
+function rankCategories(rows, dimension, measure) {
+  const totals = new Map();
+  for (const row of rows) {
+    const value = toChartNumber(row[measure.name]);
+    if (value === null) continue;
+    const label = insightLabel(row[dimension.name]);
+    totals.set(label, (totals.get(label) || 0) + value);
+  }
+  if (totals.size < 2) return null;
+  const grandTotal = [...totals.values()].reduce((total, value) => total + value, 0);
+  const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+  const entry = ([value, total]) => ({
+    value,
+    total: roundStat(total),
+    share_pct: grandTotal > 0 && total >= 0 ? roundPercent((total / grandTotal) * 100) : null
+  });
+  return {
+    dimension: dimension.name,
+    measure: measure.name,
+    categories: totals.size,
+    top: ranked.slice(0, INSIGHTS_TOP_VALUES).map(entry),
+    bottom: ranked.length > INSIGHTS_TOP_VALUES ? ranked.slice(-Math.min(3, ranked.length - INSIGHTS_TOP_VALUES)).reverse().map(entry) : []
+  };
+}
+
+// Period totals of a measure in chronological order with period-over-period changes
+function summarizeTrend(rows, temporal, measure) {
+  const nameHint = TEMPORAL_NAME_PATTERN.test(temporal.name);
+  const periods = new Map();
+  for (const row of rows) {
+    const value = toChartNumber(row[measure.name]);
+    const key = temporalKey(row[temporal.name], nameHint);
+    if (value === null || key === null) continue;
+    const label = insightLabel(row[temporal.name]);
+    const period = periods.get(label) || { period: label, key, value: 0 };
+    period.value += value;
+    periods.set(label, period);
+  }
+  const series = [...periods.values()].sort((a, b) => a.key - b.key);
+  if (series.length < 2) return null;
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const previous = series[series.length - 2];
+  const byValue = [...series].sort((a, b) => b.value - a.value);
+  const point = period => ({ period: period.period, value: roundStat(period.value) });
+  return {
+    time_column: temporal.name,
+    measure: measure.name,
+    periods: series.length,
+    first: point(first),
+    last: point(last),
+    change: roundStat(last.value - first.value),
+    change_pct: percentChange(first.value, last.value),
+    latest_change: roundStat(last.value - previous.value),
+    latest_change_pct: percentChange(previous.value, last.value),
+    peak: point(byValue[0]),
+    low: point(byValue[byValue.length - 1]),
+    deltas: series.slice(1).slice(-INSIGHTS_MAX_DELTAS).map(period => {
+      const before = series[series.indexOf(period) - 1];
+      return {
+        period: period.period,
+        value: roundStat(period.value),
+        change: roundStat(period.value - before.value),
+        change_pct: percentChange(before.value, period.value)
+      };
+    })
+  };
+}
+
+// Per-column statistics, category rankings and time-series trends of a result, computed
+// from `rows` only; `truncated` says they are not the full result
+function summarizeResults(rows, { truncated = false } = {}) {
+  const insights = { row_count: rows.length, truncated, columns: [], rankings: [], trends: [] };
+  if (rows.length === 0) return insights;
+
+  const columns = inferColumnRoles(rows).slice(0, INSIGHTS_MAX_COLUMNS);
+  insights.columns = columns.map(column => summarizeColumn(rows, column));
+
+  const measures = columns.filter(column => column.role === 'measure').slice(0, 3);
+  const dimensions = columns.filter(column => column.role === 'dimension').slice(0, 2);
+  const temporal = columns.find(column => column.role === 'temporal');
+  if (measures.length > 0) {
+    insights.rankings = dimensions.map(dimension => rankCategories(rows, dimension, measures[0])).filter(Boolean);
+  }
+  if (temporal) {
+    insights.trends = measures.map(measure => summarizeTrend(rows, temporal, measure)).filter(Boolean);
+  }
+  return insights;
+}
+
+// Compact text form of the insights for the answer prompt, cut at ANSWER_DIGEST_MAX_CHARS
+function formatInsightsDigest(insights) {
+  const lines = [`Rows returned: ${insights.row_count}${insights.truncated ? ' (capped; the full result has more rows)' : ''}`];
+  for (const column of insights.columns) {
+    let line = `- ${column.name} (${column.role}): ${column.distinct_count} distinct, ${column.null_count} null`;
+    if (column.role === 'measure' && column.min !== undefined) {
+      line += `; min ${column.min}, max ${column.max}, sum ${column.sum}, mean ${column.mean}, median ${column.median}`;
+    } else if (column.role === 'temporal' && column.earliest !== undefined) {
+      line += `; from ${column.earliest} to ${column.latest}`;
+    } else if (column.top_values && column.top_values.length > 0) {
+      line += `; most frequent: ${column.top_values.map(entry => `${entry.value} (${entry.count})`).join(', ')}`;
+    }
+    lines.push(line);
+  }
+  for (const ranking of insights.rankings) {
+    const format = entry => `${entry.value} ${entry.total}${entry.share_pct === null ? '' : ` (${entry.share_pct}%)`}`;
+    lines.push(`- ${ranking.measure} by ${ranking.dimension} (${ranking.categories} categories), highest: ${ranking.top.map(format).join(', ')}` +
+      (ranking.bottom.length > 0 ? `; lowest: ${ranking.bottom.map(format).join(', ')}` : ''));
+  }
+  for (const trend of insights.trends) {
+    const pct = value => (value === null ? 'n/a' : `${value}%`);
+    lines.push(`- ${trend.measure} over ${trend.time_column} (${trend.periods} periods): ${trend.first.period} ${trend.first.value} -> ${trend.last.period} ${trend.last.value} (${pct(trend.change_pct)}); ` +
+      `last period change ${trend.latest_change} (${pct(trend.latest_change_pct)}); peak ${trend.peak.period} ${trend.peak.value}; low ${trend.low.period} ${trend.low.value}`);
+  }
+
+  let digest = '';
+  for (const line of lines) {
+    if (digest.length + line.length + 1 > ANSWER_DIGEST_MAX_CHARS) {
+      digest += '- ...';
+      break;
+    }
+    digest += `${line}\n`;
+  }
+  return digest.trimEnd();
+}
+
+function compactRow(row) {
+  const compact = {};
+  for (const [key, value] of Object.entries(row)) {
+    const cell = value instanceof Date ? chartLabel(value) : value;
+    compact[key] = typeof cell === 'string' && cell.length > ANSWER_CELL_MAX_CHARS ? `${cell.slice(0, ANSWER_CELL_MAX_CHARS - 1)}…` : cell;
+  }
+  return compact;
+}
+
+// All rows when they fit, otherwise the first rows plus the rows holding each measure's
+// extremes; returns JSON lines within ANSWER_ROWS_MAX_CHARS and whether rows were left out
+function selectAnswerRows(rows, insights) {
+  let picked = rows.slice(0, ANSWER_MAX_ROWS);
+  if (rows.length > ANSWER_MAX_ROWS) {
+    // Room for the first rows plus the max and min rows of up to three measures
+    const indexes = new Set(Array.from({ length: ANSWER_MAX_ROWS - 6 }, (_, index) => index));
+    for (const column of insights.columns.filter(entry => entry.role === 'measure' && entry.min !== undefined).slice(0, 3)) {
+      for (const target of [column.max, column.min]) {
+        const index = rows.findIndex(row => toChartNumber(row[column.name]) === target);
+        if (index !== -1) indexes.add(index);
+      }
+    }
+    picked = [...indexes].sort((a, b) => a - b).map(index => rows[index]);
+  }
+
+  const lines = [];
+  let size = 0;
+  for (const row of picked) {
+    const line = JSON.stringify(compactRow(row));
+    if (size + line.length + 1 > ANSWER_ROWS_MAX_CHARS) break;
+    lines.push(line);
+    size += line.length + 1;
+  }
+  return { text: lines.join('\n'), shown: lines.length, partial: lines.length < rows.length };
+}
+
+/** === LLM Providers === **/
+// A provider turns chat messages into a completion:
+//   { name, isConfigured(), chat({ step, model, messages, max_tokens, temperature, onToken, signal }) }
+// `step` is one of tables, sql, repair, answer. chat() resolves to the completion text and,
+// when onToken is given, streams deltas through it as they arrive.
+
+// Collect the content of an OpenAI-style streamed chat completion (SSE lines of
+// `data: {...}` ending with `data: [DONE]`), calling onToken for each delta
+async function readChatCompletionStream(stream, onToken) {
+  let buffer = '';
+  let content = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const trimmed = line.trim();
+      // Skip blank lines and keep-alive comments (": OPENROUTER PROCESSING")
+      if (!trimmed.startsWith('data:')) continue;
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return content;
+      try {
+        const token = JSON.parse(data).choices[0].delta.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      } catch (error) {
+        continue;
+      }
+    }
+  }
+  return content;
+}
+
+// Any endpoint speaking the OpenAI chat completions API (OpenRouter, Ollama, llama.cpp, vLLM...)
+function createOpenAICompatibleProvider({ name, url, apiKey, requiresApiKey = false, headers = {} }) {
+  return {
+    name,
+    isConfigured: () => !!url && (!requiresApiKey || !!apiKey),
+    async chat({ model, messages, max_tokens, temperature, onToken, signal }) {
+      const response = await axios.post(url, {
+        model,
+        messages,
+        max_tokens,
+        temperature,
+        stream: !!onToken
+      }, {
+        headers: {
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json',
+          ...headers
+        },
+        responseType: onToken ? 'stream' : 'json',
+        timeout: LLM_TIMEOUT_MS,
+        signal
+      });
+
+      if (onToken) {
+        return readChatCompletionStream(response.data, onToken);
+      }
+      return response.data.choices[0].message.content;
+    }
+  };
+}
+
+// Deterministic scripted provider for tests and demos. `script` maps a step to a
+// response string or an array of responses consumed in order (the last one repeats).
+// Steps without a script entry throw, so callers take their non-AI fallback path.
+function createMockProvider(script = {}) {
+  const calls = {};
+  return {
+    name: 'mock',
+    isConfigured: () => true,
+    async chat({ step, onToken }) {
+      const scripted = script[step];
+      if (scripted === undefined) {
+        throw new Error(`Mock LLM has no scripted response for step ${step}`);
+      }
+      const index = calls[step] || 0;
+      calls[step] = index + 1;
+      const content = Array.isArray(scripted) ? scripted[Math.min(index, scripted.length - 1)] : scripted;
+      if (onToken) {
+        for (const token of String(content).match(/\S+\s*/g) || []) {
+          onToken(token);
+        }
+      }
+      return String(content);
+    }
+  };
+}
+
+function parseMockScript(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid LLM_MOCK_SCRIPT, ignoring:', error.message);
+    return {};
+  }
+}
+
+const LLM_PROVIDER_FACTORIES = {
+  openrouter: () => createOpenAICompatibleProvider({
+    name: 'openrouter',
+    url: AI_API_URL,
+    apiKey: AI_API_KEY,
+    requiresApiKey: true,
+    headers: {
+      'HTTP-Referer': 'https://askbase.local',
+      'X-Title': 'AskBase'
+    }
+  }),
+  openai_compatible: () => createOpenAICompatibleProvider({
+    name: 'openai_compatible',
+    url: LLM_BASE_URL,
+    apiKey: LLM_API_KEY
+  }),
+  mock: script => createMockProvider(script || parseMockScript(LLM_MOCK_SCRIPT))
+};
+
+const LLM_STEPS = ['tables', 'sql', 'repair', 'answer'];
+
+// Resolve the provider and per-step models for a request. `options` comes from the
+// request body (`llm: { provider, models: { tables, sql, repair, answer }, script }`)
+// and overrides the deployment defaults. Endpoints and keys are never taken from
+// the request, only from the environment.
+// Why `user` may not use the per-request LLM options, or null. Models are billed to the
+// deployment's keys and a scripted mock would skip SQL generation, so both are restricted.
+function checkLLMOptions(options, user) {
+  if (!options || isAdmin(user)) return null;
+  if ((options.provider === 'mock' || options.script !== undefined) && !LLM_ALLOW_REQUEST_MOCK) {
+    return 'The mock provider and scripts require the admin role';
+  }
+  const defaults = new Set([...Object.values(LLM_STEP_MODELS), MISTRAL_MODEL].filter(Boolean));
+  const models = options.models && typeof options.models === 'object' ? options.models : {};
+  for (const [step, model] of Object.entries(models)) {
+    if (model && !defaults.has(model) && !LLM_ALLOWED_MODELS.includes(model)) {
+      return `Model ${model} for step ${step} is not allowed; allowed models: ${LLM_ALLOWED_MODELS.join(', ') || 'none'}`;
+    }
+  }
+  return null;
+}
+
+function resolveLLM(options = {}) {
+  const providerName = options.provider || LLM_PROVIDER;
+  const factory = LLM_PROVIDER_FACTORIES[providerName];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider ${providerName}. Available: ${Object.keys(LLM_PROVIDER_FACTORIES).join(', ')}`);
+  }
+  const provider = factory(providerName === 'mock' ? options.script : undefined);
+
+  const models = {};
+  for (const step of LLM_STEPS) {
+    models[step] = (options.models && options.models[step]) || LLM_STEP_MODELS[step] || MISTRAL_MODEL;
+  }
+
+  return {
+    provider,
+    models,
+    isAvailable: () => provider.isConfigured(),
+    complete: (step, request) => provider.chat({ ...request, step, model: models[step] })
+  };
+}
+
+// AI functions
+// Local table selection: BM25 ranking, keeping tables that score close to the best match
+function retrieveTablesLocally(question, ranking, chatHistory = []) {
+  const ranked = ranking.filter(result => result.score >= ranking[0].score * TABLE_RETRIEVAL_RELATIVE_CUTOFF);
+  if (ranked.length > 0) {
+    return ranked.slice(0, TABLE_RETRIEVAL_FALLBACK_LIMIT).map(result => result.name);
+  }
+  const previous = followUpTables(question, chatHistory);
+  if (previous.length > 0) {
+    console.log(`🔍 Detected follow-up question, reusing tables: ${previous}`);
+  }
+  return previous;
+}
+
+async function askAIForRelevantTables(question, allTables, chatHistory = [], llm = resolveLLM(), tableIndex = null) {
+  const ranking = tableIndex ? rankTables(question, tableIndex) : [];
+  const previousTables = followUpTables(question, chatHistory);
+
+  if (!llm.isAvailable()) {
+    console.log('⚠️  No AI provider configured, using local table retrieval');
+    return retrieveTablesLocally(question, ranking, chatHistory);
+  }
+
+  // One table clearly ahead of the rest: no need to ask the model
+  if (previousTables.length === 0 && TABLE_RETRIEVAL_DIRECT_RATIO > 0 && ranking.length > 0 &&
+      (ranking.length === 1 || ranking[0].score >= ranking[1].score * TABLE_RETRIEVAL_DIRECT_RATIO)) {
+    console.log(`🔍 Local retrieval selected table: ${ranking[0].name}`);
+    return [ranking[0].name];
+  }
+
+  // Large schemas: only the best-ranked candidates (plus tables from the previous turn) go into the prompt
+  let candidateTables = allTables;
+  if (tableIndex && allTables.length > TABLE_RETRIEVAL_PROMPT_LIMIT) {
+    const candidates = new Set(previousTables.filter(name => allTables.includes(name)));
+    for (const result of ranking) {
+      if (candidates.size >= TABLE_RETRIEVAL_PROMPT_LIMIT) break;
+      candidates.add(result.name);
+    }
+    if (candidates.size > 0) {
+      candidateTables = [...candidates];
+      console.log(`🔍 Narrowed ${allTables.length} tables to ${candidateTables.length} candidates`);
+    }
+  }
+
+  try {
+    // Build enhanced context from recent chat history (last 2 interactions)
+    let context = '';
+    if (chatHistory.length > 0) {
+      const recentHistory = chatHistory.slice(-2); // Last 2 interactions for better focus
+      context = '\n\nRecent conversation context:\n';
+      for (let i = 0; i < recentHistory.length; i++) {
+        const entry = recentHistory[i];
+        context += `Previous question ${i + 1}: ${entry.question}\n`;
+        context += `Tables used: ${entry.tables_used.join(', ')}\n`;
+        context += `SQL: ${entry.sql}\n`;
+        context += `Results: ${entry.result_count} rows\n`;
+        
+        // Include sample data from results for better context
+        if (entry.results && entry.results.length > 0) {
+          const sampleData = entry.results[0]; // First row as example
+          context += `Sample data: ${Object.entries(sampleData).map(([k, v]) => `${k}=${v}`).join(', ')}\n`;
+        }
+        context += '\n';
+      }
+    }
+    
+    const prompt = `
+Given this question: "${question}"
+
+Available tables: ${candidateTables.join(', ')}
+${context}
+
+Which tables are most relevant to answer this question? 
+Return only the table names separated by commas, no explanation.
+    `;
+    
+    const completion = await llm.complete('tables', {
+      messages: [
+        { role: 'system', content: 'You are a database expert. Return only table names separated by commas.' },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: 100,
+      temperature: 0.1
+    });
+    
+    const aiResponse = completion.trim();
+    
+    // Parse the response to get table names
+    const relevantTables = aiResponse.split(',').map(table => table.trim()).filter(table => allTables.includes(table));
+    
+    console.log(`🔍 AI suggested tables: ${relevantTables}`);
+    return relevantTables;
+  } catch (error) {
+    console.error('Error asking AI for relevant tables:', error);
+    // Fallback to local retrieval
+    return retrieveTablesLocally(question, ranking, chatHistory);
+  }
+}
+
+function buildSchemaDescription(relevantTables, dialect = DIALECTS.postgres) {
+  let schemaDesc = '';
+  for (const tableInfo of relevantTables) {
+    const tableName = tableInfo.name;
+    const columns = tableInfo.columns;
+    const kind = tableInfo.kind && tableInfo.kind !== 'table' ? ` (${tableInfo.kind.replace('_', ' ')})` : '';
+    schemaDesc += `\nTable: ${tableName}${kind}${tableInfo.comment ? ` -- ${tableInfo.comment}` : ''}\n`;
+    for (const col of columns) {
+      schemaDesc += `  - ${col.name}: ${col.type}${col.masked ? ' [masked]' : ''}${col.comment ? ` -- ${col.comment}` : ''}\n`;
+    }
+    if (tableInfo.primary_key && tableInfo.primary_key.length > 0) {
+      schemaDesc += `  Primary key: (${tableInfo.primary_key.join(', ')})\n`;
+    }
+    for (const fk of tableInfo.foreign_keys || []) {
+      schemaDesc += `  Foreign key: (${fk.columns.join(', ')}) references ${fk.referenced_table}(${fk.referenced_columns.join(', ')})\n`;
+    }
+    for (const unique of tableInfo.unique_constraints || []) {
+      schemaDesc += `  Unique: (${unique.columns.join(', ')})\n`;
+    }
+  }
+  if (relevantTables.some(tableInfo => (tableInfo.columns || []).some(col => col.masked))) {
+    schemaDesc += `\nColumns marked [masked] are returned masked: select them only as plain columns, never filter, join, sort, group, alias or compute on them.\n`;
+  }
+  const qualified = relevantTables.find(tableInfo => tableInfo.table && tableInfo.name !== tableInfo.table);
+  if (qualified) {
+    schemaDesc += `\nTables named schema.table live outside the default schema: reference them as ${quoteTableReference(qualified, dialect)}, quoting schema and table separately.\n`;
+  }
+  return schemaDesc;
+}
+
+// Models sometimes quote a schema-qualified name as one identifier ("analytics.events");
+// rewrite those into proper "analytics"."events" references
+function qualifyTableReferences(sql, relevantTables, dialect = DIALECTS.postgres) {
+  let qualified = sql;
+  for (const tableInfo of relevantTables) {
+    if (tableInfo.table && tableInfo.name !== tableInfo.table) {
+      qualified = qualified.split(dialect.quoteIdentifier(tableInfo.name)).join(quoteTableReference(tableInfo, dialect));
+    }
+  }
+  return qualified;
+}
+
+async function askAIForSQL(question, relevantTables, chatHistory = [], dialect = DIALECTS.postgres, llm = resolveLLM()) {
+  if (!llm.isAvailable()) {
+    // Fallback: simple SELECT query
+    console.log('⚠️  No AI provider configured, using simple SELECT fallback');
+    return buildFallbackSQL(relevantTables, dialect);
+  }
+  
+  try {
+    const schemaDesc = buildSchemaDescription(relevantTables, dialect);
+    
+    // Build context from recent chat history
+    let context = '';
+    if (chatHistory.length > 0) {
+      const recentHistory = chatHistory.slice(-2);
+      context = '\n\nRecent conversation context:\n';
+      for (let i = 0; i < recentHistory.length; i++) {
+        const entry = recentHistory[i];
+        context += `Previous question ${i + 1}: ${entry.question}\n`;
+        context += `Previous SQL: ${entry.sql}\n`;
+        context += `Previous results: ${entry.result_count} rows\n`;
+      }
+    }
+    
+    const prompt = `
+Given this question: "${question}"
+
+And these table schemas:
+${schemaDesc}
+${context}
+
+Generate a SQL query to answer the question.
+
+CRITICAL SQL GUIDELINES:
+${dialect.promptRules}
+
+Return only the SQL query, no explanation.
+    `;
+    
+    const completion = await llm.complete('sql', {
+      messages: [
+        { 
+          role: 'system', 
+          content: `You are a ${dialect.label} SQL expert. NEVER use window functions (ROW_NUMBER, RANK, etc.) in WHERE clauses - use subqueries instead. Return ONLY the raw SQL query with NO markdown formatting, NO code blocks, NO explanations.`
+        },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: 200,
+      temperature: 0.1
+    });
+    
+    const sqlQuery = completion.trim();
+    const cleanedSQL = qualifyTableReferences(cleanSQLResponse(sqlQuery), relevantTables, dialect);
+    
+    console.log(`🔍 AI generated SQL: ${cleanedSQL}`);
+    return cleanedSQL;
+  } catch (error) {
+    console.error('Error asking AI for SQL:', error);
+    // Fallback to simple SELECT
+    return buildFallbackSQL(relevantTables, dialect);
+  }
+}
+
+// Ask the model to fix a query that failed, given the database error.
+// Returns null when no repair is possible (no AI provider or AI error).
+async function askAIForSQLRepair(question, relevantTables, failedSQL, errorMessage, dialect = DIALECTS.postgres, llm = resolveLLM()) {
+  if (!llm.isAvailable()) {
+    console.log('⚠️  No AI provider configured, skipping SQL repair');
+    return null;
+  }
+
+  try {
+    const schemaDesc = buildSchemaDescription(relevantTables, dialect);
+
+    const prompt = `
+Given this question: "${question}"
+
+And these table schemas:
+${schemaDesc}
+
+This SQL query was generated to answer the question:
+${failedSQL}
+
+It failed with this error:
+${errorMessage}
+
+Fix the SQL query so that it runs without errors and answers the question.
+Only use the tables and columns listed above, and check GROUP BY clauses and column names carefully.
+
+CRITICAL SQL GUIDELINES:
+${dialect.promptRules}
+
+Return only the corrected SQL query, no explanation.
+    `;
+
+    const completion = await llm.complete('repair', {
+      messages: [
+        {
+          role: 'system',
+          content: `You are a ${dialect.label} SQL expert who fixes broken queries. Return ONLY the raw SQL query with NO markdown formatting, NO code blocks, NO explanations.`
+        },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: 200,
+      temperature: 0.1
+    });
+
+    const cleanedSQL = qualifyTableReferences(cleanSQLResponse(completion.trim()), relevantTables, dialect);
+    console.log(`🔧 AI repaired SQL: ${cleanedSQL}`);
+    return cleanedSQL;
+  } catch (error) {
+    console.error('Error asking AI for SQL repair:', error);
+    return null;
+  }
+}
+
+// The model sees the computed `insights` (see Result Insights) and a bounded selection of
+// the rows, and is told to take every number from them.
+async function generateNaturalLanguageAnswer(question, sqlQuery, results, tablesUsed, chatHistory = [], { onToken, signal, llm = resolveLLM(), insights = summarizeResults(results) } = {}) {
+  if (!llm.isAvailable()) {
+    // Fallback: simple answer
+    console.log('⚠️  No AI provider configured, using simple answer fallback');
+    const answer = `Found ${results.length} results from the query.`;
+    if (onToken) onToken(answer);
+    return answer;
+  }
+  
+  try {
+    // Build context from recent chat history
+    let context = '';
+    if (chatHistory.length > 0) {
+      const recentHistory = chatHistory.slice(-2);
       context = '\n\nRecent conversation context:\n';
       for (let i = 0; i < recentHistory.length; i++) {
         const entry = recentHistory[i];
         context += `Previous question ${i + 1}: ${entry.question}\n`;
-        context += `Tables used: ${entry.tables_used.join(', ')}\n`;
-        context += `SQL: ${entry.sql}\n`;
-        context += `Results: ${entry.result_count} rows\n`;
-        
-        // Include sample data from results for better context
-        if (entry.results && entry.results.length > 0) {
-          const sampleData = entry.results[0]; // First row as example
-          context += `Sample data: ${Object.entries(sampleData).map(([k, v]) => `${k}=${v}`).join(', ')}\n`;
+        context += `Previous answer: ${entry.answer}\n`;
+      }
+    }
+    
+    const rows = selectAnswerRows(results, insights);
+    const rowsHeading = rows.partial
+      ? `Result rows (${rows.shown} of ${results.length}: the first rows and the rows holding each measure's min and max)`
+      : 'Result rows';
+    const prompt = `
+Given this question: "${question}"
+
+SQL query executed: ${sqlQuery}
+Tables used: ${tablesUsed.join(', ')}
+Number of results: ${results.length}
+
+Statistics computed from all ${results.length} returned rows:
+${formatInsightsDigest(insights)}
+
+${rowsHeading}:
+${rows.text || '(no rows)'}
+${context}
+
+Generate a natural language answer based on the SQL results. Keep it concise and informative.
+Take every number, name and value from the statistics and rows above; never estimate or invent one.
+If something the question asks about is not in them, say so instead of guessing.
+    `;
+    
+    return await llm.complete('answer', {
+      messages: [
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: 300,
+      temperature: 0.3,
+      onToken,
+      signal
+    });
+  } catch (error) {
+    console.error('Error generating natural language answer:', error);
+    return `Found ${results.length} results from the query.`;
+  }
+}
+
+// MongoDB session functions
+let chatSessionIndexesEnsured = false;
+async function ensureChatSessionIndexes(db) {
+  if (chatSessionIndexesEnsured) return;
+  try {
+    await db.collection('chat_sessions').createIndex({ session_id: 1 }, { unique: true });
+    await db.collection('chat_sessions').createIndex({ owner_id: 1, last_activity: -1 });
+    chatSessionIndexesEnsured = true;
+  } catch (error) {
+    console.error('Error creating chat_sessions indexes:', error);
+  }
+}
+
+// Session `metadata` aggregates over its messages
+function sessionAggregates(messages) {
+  return {
+    total_execution_time_ms: messages.reduce((total, message) => total + (message.execution_time_ms || 0), 0),
+    tables_accessed: [...new Set(messages.flatMap(message => message.tables_used || []))],
+    message_count: messages.length
+  };
+}
+
+// Creates the session document, optionally with its first message
+async function saveChatSession(sessionData) {
+  try {
+    const messages = sessionData.message ? [sessionData.message] : (sessionData.messages || []);
+    const session = {
+      session_id: sessionData.session_id,
+      owner_id: sessionData.owner_id || null,
+      created_at: new Date(),
+      last_activity: new Date(),
+      database_connection: sessionData.database_connection,
+      ai_model_used: sessionData.ai_model_used || MISTRAL_MODEL,
+      status: 'active',
+      messages: messages,
+      message_count: messages.length,
+      metadata: sessionData.metadata || sessionAggregates(messages)
+    };
+    
+    const mongo = await getMongoClient();
+    const db = mongo.db(MONGODB_DB_NAME);
+    await ensureChatSessionIndexes(db);
+    await db.collection('chat_sessions').insertOne(session);
+    return true;
+  } catch (error) {
+    // Another request created the session first: append instead
+    if (error.code === 11000 && sessionData.message) {
+      return appendChatMessage(sessionData.session_id, sessionData.message);
+    }
+    console.error('Error saving chat session:', error);
+    return false;
+  }
+}
+
+// Appends a message to an existing session and updates its aggregates atomically
+async function appendChatMessage(sessionId, message) {
+  return updateChatSession(sessionId, { status: 'active' }, {
+    $push: { messages: message },
+    $inc: {
+      message_count: 1,
+      'metadata.message_count': 1,
+      'metadata.total_execution_time_ms': message.execution_time_ms || 0
+    },
+    $addToSet: { 'metadata.tables_accessed': { $each: message.tables_used || [] } }
+  });
+}
+
+async function getChatSession(sessionId) {
+  try {
+    const mongo = await getMongoClient();
+    const db = mongo.db(MONGODB_DB_NAME);
+    const session = await db.collection('chat_sessions').findOne({ session_id: sessionId });
+    return session;
+  } catch (error) {
+    console.error('Error getting chat session:', error);
+    return null;
+  }
+}
+
+async function updateChatSession(sessionId, updateData, operators = {}) {
+  try {
+    const mongo = await getMongoClient();
+    const db = mongo.db(MONGODB_DB_NAME);
+    const result = await db.collection('chat_sessions').updateOne(
+      { session_id: sessionId },
+      { 
+        ...operators,
+        $set: { 
+          ...updateData,
+          last_activity: new Date()
+        } 
+      }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error('Error updating chat session:', error);
+    return false;
+  }
+}
+
+// Convert stored session messages back to the chat history format used as AI context
+function sessionMessagesToChatHistory(messages = []) {
+  return messages.map(message => {
+    // Convert datetime to ISO string for frontend
+    let timestamp = message.timestamp;
+    if (timestamp instanceof Date) {
+      timestamp = timestamp.toISOString();
+    }
+
+    return {
+      id: message.message_id,
+      timestamp: timestamp,
+      question: message.question,
+      sql: message.sql_query,
+      result_id: message.result_id,
+      results: message.result_sample, // Note: we only stored sample results
+      tables_used: message.tables_used || [],
+      result_count: message.result_count,
+      answer: message.natural_answer,
+      chart_data: message.chart_data, // Add chart_data if present
+      chart_format: message.chart_data ? message.chart_format || 'chartjs' : null
+    };
+  });
+}
+
+// Chart detection and generation
+// Charts are built from inferred column roles rather than column positions:
+// `temporal` columns (dates, ISO strings, quarters, year/month columns) become a
+// chronologically sorted x axis, `dimension` columns become categories or series,
+// and numeric `measure` columns become the plotted values. A second dimension turns
+// one measure into several series (grouped/stacked bars, multi-line), and several
+// measures each get their own dataset.
+const CHART_TYPES = ['bar', 'stacked_bar', 'line', 'area', 'pie', 'scatter', 'histogram'];
+// Output formats of generateChartData: Chart.js configs or Vega-Lite specs
+const CHART_FORMATS = ['chartjs', 'vega-lite'];
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+const CHART_MAX_HISTOGRAM_BINS = 50;
+
+// The first ten colors are fixed; further series get hues spaced by the golden
+// angle so neighbouring categories stay distinguishable however many there are.
+const CHART_BASE_PALETTE = [
+  [59, 130, 246], [147, 51, 234], [236, 72, 153], [34, 197, 94], [251, 146, 60],
+  [20, 184, 166], [234, 179, 8], [239, 68, 68], [99, 102, 241], [100, 116, 139]
+];
+
+function chartColor(index, alpha = 1) {
+  if (index < CHART_BASE_PALETTE.length) {
+    const [r, g, b] = CHART_BASE_PALETTE[index];
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  }
+  const hue = Math.round((index * 137.508) % 360);
+  const lightness = 45 + (index % 3) * 8;
+  return `hsla(${hue}, 65%, ${lightness}%, ${alpha})`;
+}
+
+function chartPalette(count, alpha = 1) {
+  return Array.from({ length: count }, (_, index) => chartColor(index, alpha));
+}
+
+const CHART_DATE_PATTERN = /^\d{4}-\d{2}(-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?)?$/;
+const CHART_QUARTER_PATTERN = /^(\d{4})[- ]?Q([1-4])$/i;
+const CHART_NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const TEMPORAL_NAME_PATTERN = /(^|_)(date|day|week|month|quarter|year|time|period)s?$|_(at|on)$/i;
+const ID_COLUMN_PATTERN = /(^|_)id$/i;
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Numbers arrive as numbers, bigint or strings (Postgres numeric/bigint), depending on the driver
+function toChartNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'bigint') return Number(value);
+  if (typeof value === 'string' && CHART_NUMBER_PATTERN.test(value.trim())) return Number(value);
+  return null;
+}
+
+// Sort key for a temporal value, or null when the value is not recognisably a point in time
+function temporalKey(value, nameHint) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.getTime();
+  }
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (CHART_DATE_PATTERN.test(text)) {
+      const time = Date.parse(text.length === 7 ? `${text}-01` : text);
+      return Number.isNaN(time) ? null : time;
+    }
+    const quarter = CHART_QUARTER_PATTERN.exec(text);
+    if (quarter) {
+      return Date.UTC(Number(quarter[1]), (Number(quarter[2]) - 1) * 3);
+    }
+    if (nameHint) {
+      const month = MONTH_NAMES.indexOf(text.slice(0, 3).toLowerCase());
+      if (month !== -1) return month;
+    }
+    return null;
+  }
+  // Bare numbers only count as time when the column name says so (year, month, week...)
+  const number = toChartNumber(value);
+  if (number === null || !nameHint) return null;
+  return number >= 1000 && number <= 9999 && Number.isInteger(number) ? Date.UTC(number, 0) : number;
+}
+
+// One entry per result column: { name, role: 'temporal' | 'measure' | 'dimension' }
+function inferColumnRoles(results) {
+  const columns = results.length > 0 ? Object.keys(results[0]) : [];
+  return columns.map(name => {
+    const values = results.map(row => row[name]).filter(value => value !== null && value !== undefined);
+    const nameHint = TEMPORAL_NAME_PATTERN.test(name);
+    if (values.length === 0) {
+      return { name, role: 'dimension' };
+    }
+    const explicitTime = values.every(value => value instanceof Date ||
+      (typeof value === 'string' && (CHART_DATE_PATTERN.test(value.trim()) || CHART_QUARTER_PATTERN.test(value.trim()))));
+    if ((explicitTime || nameHint) && values.every(value => temporalKey(value, nameHint) !== null)) {
+      return { name, role: 'temporal' };
+    }
+    if (!ID_COLUMN_PATTERN.test(name) && values.every(value => toChartNumber(value) !== null)) {
+      return { name, role: 'measure' };
+    }
+    return { name, role: 'dimension' };
+  });
+}
+
+// Picks the x axis, the series-splitting dimension and the measures for a chart type.
+// `overrides` ({ x, y, series } column names) pin columns to those roles; a named column
+// that does not exist or cannot play the role means the chart cannot be built as asked.
+function inferChartEncoding(columns, chartType, overrides = {}) {
+  const pick = name => (name === undefined || name === null
+    ? null
+    : columns.find(column => column.name.toLowerCase() === String(name).toLowerCase()) || false);
+  const forced = { x: pick(overrides.x), y: pick(overrides.y), series: pick(overrides.series) };
+  if (forced.x === false || forced.y === false || forced.series === false) return null;
+  if ((forced.y && forced.y.role !== 'measure') || (forced.series && forced.series.role === 'measure')) return null;
+
+  const measures = columns.filter(column => column.role === 'measure' && column !== forced.x);
+  const categorical = [
+    ...columns.filter(column => column.role === 'temporal'),
+    ...columns.filter(column => column.role === 'dimension')
+  ].filter(column => column !== forced.series);
+
+  if (chartType === 'scatter') {
+    const x = forced.x || measures.find(column => column !== forced.y);
+    const y = forced.y || measures.find(column => column !== x);
+    if (!x || !y || x.role !== 'measure') return null;
+    return { x, measures: [y], series: forced.series || columns.find(column => column.role === 'dimension') || null };
+  }
+  // Histograms bin a single measure unless the result is already bucketed by a category
+  if (chartType === 'histogram' && (forced.x ? forced.x.role === 'measure' : forced.y || categorical.length === 0)) {
+    const measure = forced.x || forced.y || measures[0];
+    return measure ? { x: null, measures: [measure], series: null } : null;
+  }
+
+  let x = forced.x || categorical[0] || null;
+  let values = forced.y ? [forced.y] : measures;
+  if (!x && values.length >= 2) {
+    // Only numbers: the first one is the axis (e.g. SELECT bucket, COUNT(*))
+    x = values[0];
+    values = values.slice(1);
+  }
+  if (!x || values.length === 0) return null;
+
+  const series = chartType === 'pie' || chartType === 'histogram'
+    ? null
+    : forced.series || categorical.find(column => column !== x) || null;
+  return { x, measures: series ? [values[0]] : values, series };
+}
+
+function chartLabel(value) {
+  if (value === null || value === undefined) return '(null)';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return String(value);
+}
+
+// Pivots rows into aligned labels and datasets. Rows sharing a label (and series) are
+// summed; a missing combination is null so lines show a gap instead of a false zero.
+function buildChartSeries(results, encoding, chartType) {
+  const { x, measures, series } = encoding;
+  const nameHint = TEMPORAL_NAME_PATTERN.test(x.name);
+  const points = new Map(); // label -> { key, index }
+  const datasets = new Map(); // dataset name -> Map(label -> value)
+
+  for (const row of results) {
+    const label = chartLabel(row[x.name]);
+    if (!points.has(label)) {
+      const key = x.role === 'temporal' ? temporalKey(row[x.name], nameHint)
+        : x.role === 'measure' ? toChartNumber(row[x.name]) : null;
+      points.set(label, { key, index: points.size });
+    }
+    for (const measure of measures) {
+      const name = series ? chartLabel(row[series.name]) : measure.name;
+      if (!datasets.has(name)) datasets.set(name, new Map());
+      const values = datasets.get(name);
+      const value = toChartNumber(row[measure.name]);
+      if (value === null) {
+        if (!values.has(label)) values.set(label, null);
+      } else {
+        values.set(label, (values.get(label) ?? 0) + value);
+      }
+    }
+  }
+
+  let labels = [...points.keys()];
+  // Time axes read left to right chronologically whatever the SQL ORDER BY was;
+  // numeric axes are sorted for lines and areas, categories keep the query's order
+  if (x.role === 'temporal' || (x.role === 'measure' && ['line', 'area'].includes(chartType))) {
+    labels = labels.sort((a, b) => {
+      const left = points.get(a).key;
+      const right = points.get(b).key;
+      if (left === null || right === null) return points.get(a).index - points.get(b).index;
+      return left - right;
+    });
+  }
+
+  return {
+    labels,
+    datasets: [...datasets.entries()].map(([name, values]) => ({
+      label: name,
+      data: labels.map(label => (values.has(label) ? values.get(label) : null))
+    }))
+  };
+}
+
+// Equal-width bins, Sturges' rule for the count
+function buildHistogram(results, measure) {
+  const values = results.map(row => toChartNumber(row[measure.name])).filter(value => value !== null);
+  if (values.length === 0) return null;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  const binCount = min === max ? 1 : Math.min(CHART_MAX_HISTOGRAM_BINS, Math.ceil(Math.log2(values.length) + 1));
+  const width = min === max ? 1 : (max - min) / binCount;
+  const counts = new Array(binCount).fill(0);
+  for (const value of values) {
+    counts[Math.min(binCount - 1, Math.floor((value - min) / width))] += 1;
+  }
+
+  const round = value => Number(value.toPrecision(6));
+  const bins = counts.map((_, index) => ({ start: round(min + index * width), end: round(min + (index + 1) * width) }));
+  return {
+    labels: bins.map(bin => `${bin.start}–${bin.end}`),
+    datasets: [{ label: 'count', data: counts }],
+    bins
+  };
+}
+
+function chartTitle(chartType, encoding) {
+  const { x, measures, series } = encoding;
+  const measure = measures.map(column => column.name).join(', ');
+  if (chartType === 'histogram') return `Distribution of ${measures[0].name}`;
+  if (chartType === 'pie') return `${measure} by ${x.name}`;
+  if (chartType === 'scatter') return `${measure} vs ${x.name}`;
+  const by = x.role === 'temporal' || ['line', 'area'].includes(chartType) ? 'over' : 'by';
+  return series ? `${measure} ${by} ${x.name} by ${series.name}` : `${measure} ${by} ${x.name}`;
+}
+
+function detectChartRequest(question) {
+  /**
+   * Detect if the user is requesting a chart and determine the chart type.
+   * Returns chart configuration or None if no chart is requested.
+   */
+  const questionLower = question.toLowerCase();
+  
+  // Chart type detection patterns, checked in order so the more specific
+  // types (histogram, stacked, area) win over bar and line
+  const chartPatterns = {
+    'histogram': [
+      /\b(histogram|histograms|frequency distribution|binned|bins)\b/
+    ],
+    'area': [
+      /\b(area chart|area graph|area plot|stacked area)\b/
+    ],
+    'stacked_bar': [
+      /\bstacked\b/
+    ],
+    'bar': [
+      /\b(bar|bar chart|bar graph|bars|column chart|grouped bars?)\b/,
+      /\b(show|display|create|generate|plot)\s+.*\b(bar)\b/,
+      /\b(visualize|visualise)\s+.*\b(bar)\b/
+    ],
+    'line': [
+      /\b(line|line chart|line graph|trend|trends)\b/,
+      /\b(show|display|create|generate|plot)\s+.*\b(line)\b/,
+      /\b(visualize|visualise)\s+.*\b(line)\b/,
+      /\b(over time|time series|timeline)\b/
+    ],
+    'pie': [
+      /\b(pie|pie chart|pie graph|percentage|proportion|distribution)\b/,
+      /\b(show|display|create|generate|plot)\s+.*\b(pie)\b/,
+      /\b(visualize|visualise)\s+.*\b(pie)\b/,
+      /\b(breakdown|composition|split)\b/
+    ],
+    'scatter': [
+      /\b(scatter|scatter plot|scatter chart|correlation)\b/,
+      /\b(show|display|create|generate|plot)\s+.*\b(scatter)\b/,
+      /\b(visualize|visualise)\s+.*\b(scatter)\b/,
+      /\b(relationship between|correlation between)\b/
+    ]
+  };
+  
+  // Check for chart keywords
+  for (const [chartType, patterns] of Object.entries(chartPatterns)) {
+    for (const pattern of patterns) {
+      if (pattern.test(questionLower)) {
+        return {
+          type: chartType,
+          requested: true,
+          confidence: 'high'
+        };
+      }
+    }
+  }
+  
+  // Check for general visualization requests
+  const vizKeywords = ['chart', 'graph', 'plot', 'visualize', 'visualise', 'diagram'];
+  for (const keyword of vizKeywords) {
+    if (questionLower.includes(keyword)) {
+      // Default to bar chart for general visualization requests
+      return {
+        type: 'bar',
+        requested: true,
+        confidence: 'medium'
+      };
+    }
+  }
+  
+  return {
+    type: null,
+    requested: false,
+    confidence: 'none'
+  };
+}
+
+// Words a visualization-only follow-up ("now show that as a pie chart") may contain
+// besides chart types and the previous result's column names
+const CHART_FOLLOWUP_WORDS = new Set([
+  'a', 'an', 'the', 'it', 'its', 'that', 'this', 'those', 'these', 'them', 'same', 'data', 'result', 'results',
+  'previous', 'above', 'last', 'again', 'instead', 'now', 'then', 'please', 'can', 'could', 'would', 'you', 'me',
+  'i', 'we', 'want', 'like', 'lets', 'let', 'us', 'see', 'view', 'how', 'about', 'what', 'if', 'but', 'rather',
+  'than', 'show', 'display', 'draw', 'render', 'plot', 'make', 'turn', 'switch', 'change', 'convert', 'redo',
+  'try', 'give', 'put', 'use', 'using', 'with', 'as', 'in', 'into', 'to', 'of', 'on', 'by', 'per', 'over', 'for',
+  'each', 'and', 'across', 'against', 'split', 'broken', 'down', 'grouped', 'group', 'colored', 'coloured',
+  'color', 'colour', 'x', 'y', 'axis', 'axes', 'version', 'kind', 'type', 'style', 'one', 'chart', 'charts',
+  'graph', 'graphs', 'plots', 'diagram', 'visualize', 'visualise', 'visualization', 'visualisation', 'bar', 'bars',
+  'column', 'columns', 'line', 'lines', 'pie', 'scatter', 'area', 'stacked', 'histogram', 'trend', 'trends',
+  'timeline', 'time', 'series', 'distribution', 'breakdown', 'composition', 'proportion', 'percentage',
+  'frequency', 'binned', 'bins', 'correlation', 'relationship', 'between', 'graphed', 'plotted', 'charted'
+]);
+
+// Recognizes a question that only asks to re-chart the previous message's result.
+// Returns { type, x, y, series } (column overrides may be null) or null when the
+// question asks for anything beyond a chart of columns the previous result already has.
+function detectChartFollowUp(question, previous) {
+  if (!previous || !previous.result_id || !Array.isArray(previous.results) || previous.results.length === 0) {
+    return null;
+  }
+  const chartRequest = detectChartRequest(question);
+  if (!chartRequest.requested) {
+    return null;
+  }
+
+  const columns = Object.keys(previous.results[0]);
+  const columnsByName = new Map(columns.map(column => [column.toLowerCase(), column]));
+  // "order date" may refer to order_date
+  let text = question.toLowerCase();
+  for (const column of columns) {
+    const spaced = column.toLowerCase().replace(/_/g, ' ');
+    if (spaced !== column.toLowerCase()) {
+      text = text.split(spaced).join(column.toLowerCase());
+    }
+  }
+  text = text.replace(/[^a-z0-9_\s]/g, ' ');
+
+  const leftover = text.split(/\s+/).filter(word => word && !CHART_FOLLOWUP_WORDS.has(word) && !columnsByName.has(word));
+  if (leftover.length > 0) {
+    return null;
+  }
+
+  const findColumn = patterns => {
+    for (const pattern of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        const column = columnsByName.get(match[1]);
+        if (column) return column;
+      }
+    }
+    return null;
+  };
+  const series = findColumn([/\b(?:split by|broken down by|grouped by|colou?red by|per|for each)\s+(\w+)/g, /\b(\w+) as (?:the )?series\b/g]);
+  let x = findColumn([/\b(\w+) on (?:the )?x(?: axis)?\b/g, /\bx axis\s+(?:as |is |to )?(\w+)/g]);
+  if (!x) {
+    const by = findColumn([/\b(?:by|over|across|against)\s+(\w+)/g]);
+    x = by && by !== series ? by : null;
+  }
+  let y = findColumn([/\b(\w+) on (?:the )?y(?: axis)?\b/g, /\by axis\s+(?:as |is |to )?(\w+)/g]);
+  if (!y) {
+    // "plot revenue by region", "a histogram of revenue"
+    const measure = findColumn([/\b(\w+)\s+(?:by|over|per|across|against)\b/g, /\b(?:of|plot|show|chart|graph)\s+(\w+)/g]);
+    y = measure && measure !== x && measure !== series ? measure : null;
+  }
+
+  return { type: chartRequest.type, x, y, series };
+}
+
+// Format-neutral description of a chart, shared by the Chart.js and Vega-Lite emitters:
+//   { type, title, x: { field, role }, y: { field }, value_field,
+//     series: { field, split } | null, labels, datasets: [{ label, data }], bins, stacked }
+// `data` is aligned with `labels`, except for scatter datasets, which hold { x, y } points.
+// `bins` ({ start, end } per label) is set when a histogram was binned here.
+// `x`, `y` and `series` name the columns to use instead of the inferred ones.
+function buildChartSpec(results, chartType, { title, ...overrides } = {}) {
+  if (!results || results.length === 0 || !CHART_TYPES.includes(chartType)) {
+    return null;
+  }
+
+  const columns = inferColumnRoles(results);
+  const encoding = inferChartEncoding(columns, chartType, overrides);
+  if (!encoding) {
+    return null;
+  }
+  const measureNames = encoding.measures.map(column => column.name);
+  const spec = {
+    type: chartType,
+    title: title || chartTitle(chartType, encoding),
+    x: encoding.x ? { field: encoding.x.name, role: encoding.x.role } : null,
+    y: { field: measureNames.join(', ') },
+    value_field: measureNames.length === 1 ? measureNames[0] : 'value',
+    // `split` is false when each dataset is a measure rather than a category value
+    series: encoding.series
+      ? { field: encoding.series.name, split: true }
+      : measureNames.length > 1 ? { field: 'measure', split: false } : null,
+    labels: [],
+    datasets: [],
+    bins: null,
+    stacked: chartType === 'stacked_bar' || chartType === 'area'
+  };
+
+  if (chartType === 'scatter') {
+    const groups = new Map();
+    for (const row of results) {
+      const x = toChartNumber(row[encoding.x.name]);
+      const y = toChartNumber(row[measureNames[0]]);
+      if (x === null || y === null) continue;
+      const point = { x, y };
+      const group = encoding.series ? chartLabel(row[encoding.series.name]) : spec.title;
+      if (encoding.series) point.label = group;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(point);
+    }
+    if (groups.size === 0) {
+      return null;
+    }
+    spec.datasets = [...groups.entries()].map(([label, data]) => ({ label, data }));
+    return spec;
+  }
+
+  const prepared = chartType === 'histogram' && !encoding.x
+    ? buildHistogram(results, encoding.measures[0])
+    : buildChartSeries(results, encoding, chartType);
+  if (!prepared || prepared.labels.length === 0 ||
+    prepared.datasets.every(dataset => dataset.data.every(value => value === null))) {
+    return null;
+  }
+  spec.labels = prepared.labels;
+  spec.datasets = prepared.datasets;
+  if (prepared.bins) {
+    spec.bins = prepared.bins;
+    spec.x = { field: measureNames[0], role: 'measure' };
+    spec.y = { field: 'count' };
+    spec.value_field = 'count';
+  }
+  spec.stacked = chartType === 'stacked_bar' || (chartType === 'area' && spec.datasets.length > 1);
+  return spec;
+}
+
+function toChartJsConfig(spec) {
+  const titlePlugin = { title: { display: true, text: spec.title } };
+  const axisTitle = text => ({ display: true, text });
+
+  if (spec.type === 'scatter') {
+    return {
+      type: 'scatter',
+      data: {
+        datasets: spec.datasets.map((dataset, index) => ({
+          label: dataset.label,
+          data: dataset.data,
+          backgroundColor: chartColor(index, 0.6),
+          borderColor: chartColor(index),
+          pointRadius: 6
+        }))
+      },
+      options: {
+        responsive: true,
+        plugins: { ...titlePlugin, legend: { display: spec.datasets.length > 1 } },
+        scales: {
+          x: { title: axisTitle(spec.x.field) },
+          y: { title: axisTitle(spec.y.field) }
+        }
+      }
+    };
+  }
+
+  if (spec.type === 'pie') {
+    return {
+      type: 'pie',
+      data: {
+        labels: spec.labels,
+        datasets: [{
+          label: spec.datasets[0].label,
+          data: spec.datasets[0].data,
+          backgroundColor: chartPalette(spec.labels.length, 0.8)
+        }]
+      },
+      options: {
+        responsive: true,
+        plugins: titlePlugin
+      }
+    };
+  }
+
+  const isLine = spec.type === 'line' || spec.type === 'area';
+  return {
+    type: isLine ? 'line' : 'bar',
+    data: {
+      labels: spec.labels,
+      datasets: spec.datasets.map((dataset, index) => ({
+        ...dataset,
+        ...(isLine
+          ? {
+            borderColor: chartColor(index),
+            backgroundColor: chartColor(index, spec.type === 'area' ? 0.35 : 0.1),
+            fill: spec.type === 'area' ? (index === 0 ? 'origin' : '-1') : false,
+            spanGaps: spec.type === 'line',
+            tension: 0.1
+          }
+          : {
+            backgroundColor: chartColor(index, 0.8),
+            borderColor: chartColor(index),
+            borderWidth: 1
+          }),
+        ...(spec.type === 'histogram' ? { barPercentage: 1, categoryPercentage: 1 } : {})
+      }))
+    },
+    options: {
+      responsive: true,
+      plugins: { ...titlePlugin, legend: { display: spec.datasets.length > 1 } },
+      scales: {
+        x: { stacked: spec.stacked, title: axisTitle(spec.x.field) },
+        y: { stacked: spec.stacked, beginAtZero: true, title: axisTitle(spec.y.field) }
+      }
+    }
+  };
+}
+
+// Vega-Lite reads dots and brackets in field names as nested access
+function vegaField(name) {
+  return String(name).replace(/[.[\]\\]/g, match => `\\${match}`);
+}
+
+// Vega-Lite v5 spec with the data inlined in long form: one row per label and dataset.
+// Colors and category order match the Chart.js output.
+function toVegaLiteSpec(spec) {
+  const base = {
+    $schema: VEGA_LITE_SCHEMA,
+    title: spec.title,
+    width: 'container',
+    height: 300
+  };
+  const seriesField = spec.series ? spec.series.field : null;
+  const seriesNames = spec.datasets.map(dataset => dataset.label);
+  const seriesColor = seriesField
+    ? {
+      field: vegaField(seriesField),
+      type: 'nominal',
+      title: spec.series.split ? seriesField : null,
+      sort: seriesNames,
+      scale: { domain: seriesNames, range: chartPalette(seriesNames.length) }
+    }
+    : { value: chartColor(0) };
+
+  if (spec.type === 'scatter') {
+    const groupField = seriesField || 'series';
+    return {
+      ...base,
+      data: {
+        values: spec.datasets.flatMap(dataset => dataset.data.map(point => ({
+          [spec.x.field]: point.x,
+          [spec.value_field]: point.y,
+          ...(seriesField ? { [groupField]: dataset.label } : {})
+        })))
+      },
+      mark: { type: 'point', filled: true, size: 80 },
+      encoding: {
+        x: { field: vegaField(spec.x.field), type: 'quantitative', title: spec.x.field },
+        y: { field: vegaField(spec.value_field), type: 'quantitative', title: spec.y.field },
+        color: seriesColor
+      }
+    };
+  }
+
+  if (spec.bins) {
+    return {
+      ...base,
+      data: {
+        values: spec.bins.map((bin, index) => ({ bin_start: bin.start, bin_end: bin.end, count: spec.datasets[0].data[index] }))
+      },
+      mark: { type: 'bar', color: chartColor(0, 0.8) },
+      encoding: {
+        x: { field: 'bin_start', bin: { binned: true }, type: 'quantitative', title: spec.x.field },
+        x2: { field: 'bin_end' },
+        y: { field: 'count', type: 'quantitative', title: 'count' }
+      }
+    };
+  }
+
+  const xField = spec.x.field;
+  const values = [];
+  spec.labels.forEach((label, index) => {
+    for (const dataset of spec.datasets) {
+      values.push({
+        [xField]: label,
+        ...(seriesField ? { [seriesField]: dataset.label } : {}),
+        [spec.value_field]: dataset.data[index]
+      });
+    }
+  });
+
+  if (spec.type === 'pie') {
+    return {
+      ...base,
+      data: { values },
+      mark: { type: 'arc' },
+      encoding: {
+        theta: { field: vegaField(spec.value_field), type: 'quantitative', title: spec.y.field },
+        color: {
+          field: vegaField(xField),
+          type: 'nominal',
+          title: xField,
+          sort: spec.labels,
+          scale: { domain: spec.labels, range: chartPalette(spec.labels.length, 0.8) }
+        }
+      }
+    };
+  }
+
+  // Labels are already sorted (chronologically for time axes), so bars use them as
+  // ordinal bands in that order; lines and areas get a continuous time or number axis
+  const continuous = spec.type === 'line' || spec.type === 'area';
+  let x = { field: vegaField(xField), type: 'ordinal', title: xField, sort: spec.labels };
+  if (continuous && spec.x.role === 'temporal' && spec.labels.every(label => CHART_DATE_PATTERN.test(label))) {
+    x = { field: vegaField(xField), type: 'temporal', title: xField };
+  } else if (continuous && spec.x.role === 'measure') {
+    x = { field: vegaField(xField), type: 'quantitative', title: xField };
+  }
+  const y = { field: vegaField(spec.value_field), type: 'quantitative', title: spec.y.field };
+  const encoding = { x, y, color: seriesColor };
+  let mark;
+
+  if (spec.type === 'line') {
+    mark = { type: 'line', point: true };
+  } else if (spec.type === 'area') {
+    mark = { type: 'area', opacity: 0.7, line: true };
+    y.stack = spec.stacked ? 'zero' : null;
+  } else {
+    mark = { type: 'bar' };
+    if (spec.stacked) {
+      y.stack = 'zero';
+    } else if (seriesField) {
+      // Grouped bars: series side by side within each x category
+      y.stack = null;
+      encoding.xOffset = { field: vegaField(seriesField), sort: seriesNames };
+    }
+  }
+
+  return { ...base, data: { values }, mark, encoding };
+}
+
+function generateChartData(results, chartType, { format = 'chartjs', title, x, y, series } = {}) {
+  /**
+   * Generate chart data from SQL results, as a Chart.js config or a Vega-Lite spec.
+   * `x`, `y` and `series` optionally name the columns for those roles.
+   * Returns null if chart cannot be generated.
+   */
+  try {
+    const spec = buildChartSpec(results, chartType, { title, x, y, series });
+    if (!spec) {
+      return null;
+    }
+    return format === 'vega-lite' ? toVegaLiteSpec(spec) : toChartJsConfig(spec);
+  } catch (error) {
+    console.error('❌ Error generating chart data:', error);
+    return null;
+  }
+}
+
+// A visualization-only follow-up (see detectChartFollowUp) re-charts the previous message's
+// result with the requested type and axes: no table selection, SQL generation or model
+// answer. The rows stored with the result are reused when they were masked under the
+// current policy; otherwise the stored query is read again through the sandbox.
+// Resolves to null when the previous result cannot be reused, so /ask runs in full.
+async function runChartFollowUp({ question, followUp, previous, connection, user, chartFormat, sessionId, messageId, emit }) {
+  const record = await getQueryResult(previous.result_id);
+  if (!record || !canAccess(user, record) || record.connection_id !== connection.id) {
+    return null;
+  }
+
+  const startTime = Date.now();
+  let rows;
+  let truncated = record.results_truncated;
+  try {
+    // The policy may have changed since the previous answer
+    await enforceSQLPolicy(record.sql, connection);
+    if (record.rows && record.rows_policy === policyFingerprint(connection)) {
+      rows = record.rows;
+    } else {
+      const page = await auditedExecution({
+        source: 'result_chart',
+        userId: user.id,
+        question,
+        sessionId,
+        messageId,
+        resultId: record.result_id
+      }, record.sql, connection, async () => {
+        const read = await readResultRows(record, connection, { offset: 0, limit: SQL_MAX_ROWS });
+        return { ...read, row_count: read.rows.length, truncated: read.has_more };
+      });
+      rows = page.rows;
+      truncated = page.has_more;
+    }
+  } catch (err) {
+    console.error('[Ask] Chart follow-up could not read the previous result:', err.message);
+    if (err instanceof SQLGuardError) {
+      return {
+        status: err.code === 'statement_timeout' ? 504 : 422,
+        body: { error: 'Query blocked by SQL guard', code: err.code, message: err.message, details: err.details, sql: record.sql }
+      };
+    }
+    return { status: 500, body: { error: 'Failed to read the previous result', message: err.message, details: err.stack } };
+  }
+
+  const chartData = generateChartData(rows, followUp.type, {
+    format: chartFormat,
+    x: followUp.x,
+    y: followUp.y,
+    series: followUp.series
+  });
+  const executionTime = Date.now() - startTime;
+  emit('chart', { chart_type: followUp.type, chart_format: chartFormat, chart_data: chartData });
+  console.log(chartData
+    ? `🔍 Re-rendered message ${previous.id} as a ${followUp.type} chart`
+    : `❌ Could not re-render message ${previous.id} as a ${followUp.type} chart`);
+
+  const axes = [followUp.x && `${followUp.x} on the x axis`, followUp.y && `${followUp.y} on the y axis`, followUp.series && `split by ${followUp.series}`]
+    .filter(Boolean);
+  const chartName = followUp.type.replace('_', ' ');
+  const naturalAnswer = chartData
+    ? `Here is the previous result (${rows.length} rows) as a ${chartName} chart${axes.length ? `, with ${axes.join(', ')}` : ''}.`
+    : `The previous result (columns: ${Object.keys(rows[0] || {}).join(', ') || 'none'}) cannot be shown as a ${chartName} chart${axes.length ? ` with ${axes.join(', ')}` : ''}.`;
+  emit('answer', { answer: naturalAnswer });
+
+  const messageData = {
+    message_id: messageId,
+    timestamp: new Date(),
+    type: 'chart_followup',
+    question,
+    sql_query: record.sql,
+    tables_used: previous.tables_used || [],
+    result_id: record.result_id,
+    result_count: rows.length,
+    results_truncated: truncated,
+    result_sample: rows.slice(0, 5),
+    sql_attempts: [],
+    natural_answer: naturalAnswer,
+    insights: summarizeResults(rows, { truncated }),
+    execution_time_ms: executionTime,
+    is_followup_question: true,
+    rerendered_from: previous.id,
+    chart_data: chartData,
+    chart_format: chartData ? chartFormat : null
+  };
+  if (await appendChatMessage(sessionId, messageData)) {
+    console.log(`💾 Saved message to session ${sessionId}`);
+  }
+
+  return {
+    status: 200,
+    body: {
+      answer: naturalAnswer,
+      sql: record.sql,
+      results: rows.slice(0, 5),
+      tables_used: messageData.tables_used,
+      chat_id: messageId,
+      session_id: sessionId,
+      connection_id: connection.id,
+      result_id: record.result_id,
+      result_count: rows.length,
+      results_truncated: truncated,
+      attempts: [],
+      execution_time_ms: executionTime,
+      chart_data: chartData,
+      chart_format: messageData.chart_format,
+      insights: messageData.insights,
+      rerendered_from: previous.id
+    }
+  };
+}
+
+// The /ask pipeline, shared by the JSON and streaming variants of the route.
+// Resolves to { status, body } for the HTTP response; `hooks.onEvent(event, data)`
+// is called as each stage completes, `hooks.onAnswerToken(token)` streams the answer
+// and `hooks.signal` aborts the remaining stages when the client goes away.
+// Sessions, connections and results are resolved and stamped as `user`.
+async function runAskPipeline(params, user, hooks = {}) {
+  const emit = (event, data) => {
+    if (hooks.onEvent) hooks.onEvent(event, data);
+  };
+  const aborted = () => hooks.signal && hooks.signal.aborted;
+  const abortedResult = { status: 499, body: { error: 'Request aborted', message: 'The client closed the request' } };
+
+  try {
+    const { question, session_id, connection_id } = params;
+    if (!question) {
+      return { status: 400, body: { error: 'Missing question', message: 'Question is required' } };
+    }
+    const chartFormat = params.chart_format || 'chartjs';
+    if (!CHART_FORMATS.includes(chartFormat)) {
+      return {
+        status: 400,
+        body: { error: 'Invalid chart format', message: `chart_format must be one of: ${CHART_FORMATS.join(', ')}` }
+      };
+    }
+    const llmRejection = checkLLMOptions(params.llm, user);
+    if (llmRejection) {
+      return { status: 403, body: { error: 'LLM options not allowed', message: llmRejection } };
+    }
+    let llm;
+    try {
+      llm = resolveLLM(params.llm);
+    } catch (err) {
+      return { status: 400, body: { error: 'Invalid LLM options', message: err.message } };
+    }
+    const connection = await getConnectionForUser(connection_id, user);
+    if (!connection) {
+      return {
+        status: 404,
+        body: {
+          error: 'Connection not found',
+          message: `Connection with id ${connection_id} not found`
+        }
+      };
+    }
+
+    console.log(`🔍 Processing question: ${question}`);
+
+    // Step 1: Get or create session, loading its conversation as follow-up context
+    let currentSessionId = session_id;
+    let existingSession = null;
+    if (!currentSessionId) {
+      currentSessionId = generateSessionId();
+      console.log(`🔍 Created new session: ${currentSessionId}`);
+    } else {
+      existingSession = await getChatSession(currentSessionId);
+      if (existingSession && !canAccess(user, existingSession)) {
+        return {
+          status: 404,
+          body: {
+            error: 'Session not found',
+            message: `Session with id ${currentSessionId} not found`
+          }
+        };
+      }
+    }
+    // Stored samples are re-masked in case the connection's policy changed since
+    const chatHistory = (existingSession ? sessionMessagesToChatHistory(existingSession.messages) : [])
+      .map(entry => ({ ...entry, results: applyRowPolicy(entry.results, entry.sql, connection) }));
+    console.log(`🔍 Loaded ${chatHistory.length} previous messages for session ${currentSessionId}`);
+    emit('session', { session_id: currentSessionId, connection_id: connection.id });
+    // Unique even when several /ask calls run on the session at once or its history was cleared
+    const messageId = uuidv4();
+
+    // Visualization-only follow-ups re-chart the previous result instead of querying again
+    const followUp = detectChartFollowUp(question, chatHistory[chatHistory.length - 1]);
+    if (followUp) {
+      const rerendered = await runChartFollowUp({
+        question,
+        followUp,
+        previous: chatHistory[chatHistory.length - 1],
+        connection,
+        user,
+        chartFormat,
+        sessionId: currentSessionId,
+        messageId,
+        emit
+      });
+      if (rerendered) return rerendered;
+    }
+
+    // Step 2: Get all tables
+    let allTables;
+    try {
+      allTables = await getAllTables(connection);
+    } catch (err) {
+      console.error('[DB QUERY ERROR] getAllTables', err);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to get tables',
+          message: err.message,
+          details: err.stack,
+        }
+      };
+    }
+
+    // Step 3: Use AI to find relevant tables (with chat history context)
+    let relevantTableNames;
+    try {
+      const tableIndex = getTableIndex(await getSchemaSnapshot(connection));
+      relevantTableNames = await askAIForRelevantTables(question, allTables, chatHistory, llm, tableIndex);
+    } catch (err) {
+      console.error('[AI ERROR] askAIForRelevantTables', err);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to find relevant tables',
+          message: err.message,
+          details: err.stack,
+        }
+      };
+    }
+
+    if (!relevantTableNames || relevantTableNames.length === 0) {
+      return {
+        status: 400,
+        body: {
+          error: 'No relevant tables found',
+          message: 'No relevant tables found for your question.'
+        }
+      };
+    }
+
+    console.log(`🔍 Relevant tables: ${relevantTableNames}`);
+    emit('tables', { tables: relevantTableNames });
+
+    // Step 4: Get column information for relevant tables
+    const relevantTables = [];
+    for (const tableName of relevantTableNames) {
+      try {
+        const table = await getTableSchema(tableName, connection);
+        relevantTables.push(table || {
+          name: tableName,
+          columns: await getTableColumns(tableName, connection)
+        });
+      } catch (err) {
+        console.error(`[DB QUERY ERROR] getTableColumns for ${tableName}`, err);
+        return {
+          status: 500,
+          body: {
+            error: 'Failed to get table columns',
+            message: err.message,
+            details: err.stack,
+          }
+        };
+      }
+    }
+
+    // Step 5: Use AI to generate SQL query (with chat history context)
+    if (aborted()) return abortedResult;
+    let sqlQuery;
+    try {
+      sqlQuery = await askAIForSQL(question, relevantTables, chatHistory, connection.dialect, llm);
+    } catch (err) {
+      console.error('[AI ERROR] askAIForSQL', err);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to generate SQL',
+          message: err.message,
+          details: err.stack,
         }
-        context += '\n';
+      };
+    }
+
+    console.log(`🔍 Generated SQL: ${sqlQuery}`);
+    emit('sql', { sql: sqlQuery, attempt: 1 });
+
+    // Step 6: Execute SQL query, feeding failures back to the model for repair
+    let results;
+    let truncated = false;
+    let executionTime = 0;
+    let resultRecord;
+    const sqlAttempts = [];
+    for (let attempt = 1; ; attempt++) {
+      if (aborted()) return abortedResult;
+      const startTime = Date.now();
+      try {
+        const execution = await executeAndRecordQuery(sqlQuery, connection, {
+          ownerId: user.id,
+          question,
+          sessionId: currentSessionId,
+          messageId,
+          keepRows: true
+        });
+        results = execution.rows;
+        truncated = execution.truncated;
+        executionTime = execution.execution_time_ms;
+        resultRecord = execution.result;
+        sqlAttempts.push({ attempt, sql: sqlQuery, status: 'success', duration_ms: executionTime });
+        console.log(`🔍 Query executed successfully, got ${results.length} results`);
+        emit('results', {
+          result_id: resultRecord.result_id,
+          results: results.slice(0, 5),
+          result_count: results.length,
+          results_truncated: truncated,
+          execution_time_ms: executionTime
+        });
+        break;
+      } catch (err) {
+        console.error('[DB QUERY ERROR] executeSQLQuery', err);
+        sqlAttempts.push({
+          attempt,
+          sql: sqlQuery,
+          status: 'error',
+          error: err.message,
+          code: err instanceof SQLGuardError ? err.code : null,
+          duration_ms: Date.now() - startTime
+        });
+
+        const repairedSQL = attempt <= SQL_MAX_REPAIR_ATTEMPTS
+          ? await askAIForSQLRepair(question, relevantTables, sqlQuery, err.message, connection.dialect, llm)
+          : null;
+        emit('attempt', sqlAttempts[sqlAttempts.length - 1]);
+        if (repairedSQL && repairedSQL !== sqlQuery) {
+          console.log(`🔧 Retrying with repaired SQL (attempt ${attempt + 1})`);
+          sqlQuery = repairedSQL;
+          emit('sql', { sql: sqlQuery, attempt: attempt + 1 });
+          continue;
+        }
+
+        if (err instanceof SQLGuardError) {
+          return {
+            status: err.code === 'statement_timeout' ? 504 : 422,
+            body: {
+              error: 'Query blocked by SQL guard',
+              code: err.code,
+              message: err.message,
+              details: err.details,
+              sql: sqlQuery,
+              attempts: sqlAttempts
+            }
+          };
+        }
+        return {
+          status: 500,
+          body: {
+            error: 'Failed to execute SQL query',
+            message: err.message,
+            details: err.stack,
+            attempts: sqlAttempts
+          }
+        };
       }
     }
+
+    // Step 7: Check for chart request and generate chart data
+    const chartRequest = detectChartRequest(question);
+    let chartData = null;
     
-    const prompt = `
-Given this question: "${question}"
+    if (chartRequest.requested && results.length > 0) {
+      chartData = generateChartData(results, chartRequest.type, { format: chartFormat });
+      if (chartData) {
+        console.log(`🔍 Generated ${chartRequest.type} chart`);
+      } else {
+        console.log(`❌ Could not generate ${chartRequest.type} chart from results`);
+      }
+      emit('chart', { chart_type: chartRequest.type, chart_format: chartFormat, chart_data: chartData });
+    }
 
-Available tables: ${allTables.join(', ')}
-${context}
+    // Step 8: Summarize the rows and generate the natural language answer from them
+    if (aborted()) return abortedResult;
+    const insights = summarizeResults(results, { truncated });
+    emit('insights', insights);
+    let naturalAnswer;
+    try {
+      naturalAnswer = await generateNaturalLanguageAnswer(question, sqlQuery, results, relevantTableNames, chatHistory, {
+        onToken: hooks.onAnswerToken,
+        signal: hooks.signal,
+        llm,
+        insights
+      });
+      console.log(`🔍 Generated natural language answer`);
+      emit('answer', { answer: naturalAnswer });
+    } catch (err) {
+      console.error('[AI ERROR] generateNaturalLanguageAnswer', err);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to generate natural language answer',
+          message: err.message,
+          details: err.stack,
+        }
+      };
+    }
 
-Which tables are most relevant to answer this question? 
-Return only the table names separated by commas, no explanation.
-    `;
-    
-    const response = await axios.post(AI_API_URL, {
-      model: MISTRAL_MODEL,
-      messages: [
-        { role: 'system', content: 'You are a database expert. Return only table names separated by commas.' },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 100,
-      temperature: 0.1
-    }, {
-      headers: {
-        'Authorization': `Bearer ${AI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://askbase.local',
-        'X-Title': 'AskBase'
+    // Step 9: Save to MongoDB session
+    const messageData = {
+      message_id: messageId,
+      timestamp: new Date(),
+      type: 'user_question',
+      question: question,
+      sql_query: sqlQuery,
+      tables_used: relevantTableNames,
+      result_id: resultRecord.result_id,
+      result_count: results.length,
+      results_truncated: truncated,
+      result_sample: results.slice(0, 5), // Store sample results
+      sql_attempts: sqlAttempts,
+      natural_answer: naturalAnswer,
+      insights,
+      execution_time_ms: executionTime,
+      is_followup_question: chatHistory.length > 0,
+      chart_data: chartData,
+      chart_format: chartData ? chartFormat : null,
+      ai_provider: llm.provider.name,
+      ai_models: llm.models
+    };
+
+    try {
+      const saved = existingSession
+        ? await appendChatMessage(currentSessionId, messageData)
+        : await saveChatSession({
+          session_id: currentSessionId,
+          owner_id: user.id,
+          database_connection: describeConnection(connection),
+          ai_model_used: llm.models.sql,
+          message: messageData
+        });
+      if (saved) {
+        console.log(`💾 Saved message to session ${currentSessionId}`);
       }
-    });
-    
-    const aiResponse = response.data.choices[0].message.content.trim();
-    
-    // Parse the response to get table names
-    const relevantTables = aiResponse.split(',').map(table => table.trim()).filter(table => allTables.includes(table));
-    
-    console.log(`🔍 AI suggested tables: ${relevantTables}`);
-    return relevantTables;
+    } catch (err) {
+      console.error('Error saving to MongoDB:', err);
+      // Don't fail the request if MongoDB save fails
+    }
+
+    // Step 10: Prepare response
+    const resultSample = results.slice(0, 5);
+
+    const response = {
+      answer: naturalAnswer,
+      sql: sqlQuery,
+      results: resultSample,
+      tables_used: relevantTableNames,
+      chat_id: messageData.message_id,
+      session_id: currentSessionId,
+      connection_id: connection.id,
+      result_id: resultRecord.result_id,
+      result_count: results.length,
+      results_truncated: truncated,
+      attempts: sqlAttempts,
+      execution_time_ms: executionTime,
+      chart_data: chartData,
+      chart_format: chartData ? chartFormat : null,
+      insights
+    };
+
+    console.log(`✅ Request completed in ${executionTime}ms`);
+    return { status: 200, body: response };
   } catch (error) {
-    console.error('Error asking AI for relevant tables:', error);
-    // Fallback to keyword matching
-    return askAIForRelevantTables(question, allTables, chatHistory);
+    console.error('[Ask] Error:', error);
+    return { status: 500, body: { error: error.message, details: error.stack } };
   }
 }
 
-async function askAIForSQL(question, relevantTables, chatHistory = []) {
-  if (!AI_API_KEY) {
-    // Fallback: simple SELECT query
-    console.log('⚠️  No AI API key, using simple SELECT fallback');
-    if (relevantTables.length > 0) {
-      const tableName = relevantTables[0].name;
-      const columns = relevantTables[0].columns.map(col => col.name);
-      return `SELECT ${columns.join(', ')} FROM "${tableName}" LIMIT 5;`;
+// Server-Sent Events variant of /ask: one event per pipeline stage plus answer
+// tokens as they arrive, finishing with a `done` (or `error`) event that carries
+// the same body the JSON route would return.
+async function streamAsk(req, res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('[Ask Stream] Client disconnected, aborting');
+      controller.abort();
     }
-    return 'SELECT 1;';
+  });
+
+  const send = (event, data) => {
+    if (res.writableEnded || controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { status, body } = await runAskPipeline(req.body, req.user, {
+    onEvent: send,
+    onAnswerToken: token => send('answer_token', { token }),
+    signal: controller.signal
+  });
+  if (status === 200) {
+    send('done', body);
+  } else {
+    send('error', { status, ...body });
   }
-  
-  try {
-    // Build schema description
-    let schemaDesc = '';
-    for (const tableInfo of relevantTables) {
-      const tableName = tableInfo.name;
-      const columns = tableInfo.columns;
-      schemaDesc += `\nTable: ${tableName}\n`;
-      for (const col of columns) {
-        schemaDesc += `  - ${col.name}: ${col.type}\n`;
+  res.end();
+}
+
+/** === Chart Rendering (SVG) === **/
+// Renders the Chart.js configs built by generateChartData as standalone SVG, for places
+// where no JavaScript runs: GET /results/:id/chart.svg, report refreshes (stored on the
+// item's last_result, so snapshots, webhooks and shared views carry the picture).
+// Supports bar (grouped, stacked, histogram), line and area, pie and scatter charts.
+const CHART_SVG_FONT = 'Helvetica, Arial, sans-serif';
+const CHART_SVG_MAX_LABEL_LENGTH = 16;
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function svgText(x, y, text, { size = 11, anchor = 'middle', weight = 'normal', color = '#374151', rotate = null } = {}) {
+  const transform = rotate === null ? '' : ` transform="rotate(${rotate} ${x} ${y})"`;
+  return `<text x="${round2(x)}" y="${round2(y)}" font-size="${size}" font-weight="${weight}" text-anchor="${anchor}" fill="${color}"${transform}>${escapeXML(text)}</text>`;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function truncateLabel(text, length = CHART_SVG_MAX_LABEL_LENGTH) {
+  const value = String(text);
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+// Rough text width for layout; there is no font metrics engine on the server
+function textWidth(text, size = 11) {
+  return String(text).length * size * 0.58;
+}
+
+function formatTick(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${Number((value / 1e9).toPrecision(3))}B`;
+  if (abs >= 1e6) return `${Number((value / 1e6).toPrecision(3))}M`;
+  if (abs >= 1e4) return `${Number((value / 1e3).toPrecision(3))}k`;
+  return String(Number(value.toPrecision(4)));
+}
+
+// Axis bounds rounded outwards to 1/2/5 x 10^n steps
+function niceScale(min, max, { includeZero = false, ticks = 5 } = {}) {
+  let low = includeZero ? Math.min(0, min) : min;
+  let high = includeZero ? Math.max(0, max) : max;
+  if (!Number.isFinite(low) || !Number.isFinite(high)) {
+    low = 0;
+    high = 1;
+  }
+  if (low === high) {
+    const pad = Math.abs(low) || 1;
+    low = includeZero && low >= 0 ? 0 : low - pad / 2;
+    high = high + pad / 2;
+  }
+  const rough = (high - low) / ticks;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  const niceMin = Math.floor(low / step) * step;
+  const niceMax = Math.ceil(high / step) * step;
+  const values = [];
+  for (let tick = niceMin; tick <= niceMax + step / 2; tick += step) {
+    values.push(Number(tick.toPrecision(12)));
+  }
+  return { min: niceMin, max: niceMax, ticks: values };
+}
+
+// Legend entries laid out in rows under the title; returns the markup and its height
+function svgLegend(entries, width, top) {
+  const parts = [];
+  let x = 16;
+  let y = top;
+  for (const entry of entries) {
+    const label = truncateLabel(entry.label, 24);
+    const itemWidth = 18 + textWidth(label) + 16;
+    if (x + itemWidth > width - 16 && x > 16) {
+      x = 16;
+      y += 18;
+    }
+    parts.push(`<rect x="${round2(x)}" y="${round2(y - 9)}" width="11" height="11" rx="2" fill="${entry.color}"/>`);
+    parts.push(svgText(x + 16, y, label, { anchor: 'start' }));
+    x += itemWidth;
+  }
+  return { markup: parts.join(''), height: y - top + 18 };
+}
+
+function datasetColor(dataset, index, alpha = 1) {
+  const color = dataset.borderColor || dataset.backgroundColor;
+  return typeof color === 'string' ? color : chartColor(index, alpha);
+}
+
+// Gridlines, tick labels and axis titles around the plot area
+function svgAxes(plot, yScale, { xTitle, yTitle, xLabels = null, xScale = null }) {
+  const parts = [];
+  const yPosition = value => plot.bottom - ((value - yScale.min) / (yScale.max - yScale.min)) * plot.height;
+  for (const tick of yScale.ticks) {
+    const y = yPosition(tick);
+    parts.push(`<line x1="${plot.left}" y1="${round2(y)}" x2="${plot.right}" y2="${round2(y)}" stroke="#e5e7eb"/>`);
+    parts.push(svgText(plot.left - 6, y + 4, formatTick(tick), { anchor: 'end', size: 10 }));
+  }
+  parts.push(`<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="#9ca3af"/>`);
+  parts.push(`<line x1="${plot.left}" y1="${plot.top}" x2="${plot.left}" y2="${plot.bottom}" stroke="#9ca3af"/>`);
+
+  if (xLabels) {
+    // Skip labels evenly so they do not overlap
+    const band = plot.width / xLabels.length;
+    const every = Math.max(1, Math.ceil(xLabels.length / Math.max(1, Math.floor(plot.width / 70))));
+    xLabels.forEach((label, index) => {
+      if (index % every !== 0) return;
+      parts.push(svgText(plot.left + (index + 0.5) * band, plot.bottom + 16, truncateLabel(label), { size: 10 }));
+    });
+  } else if (xScale) {
+    for (const tick of xScale.ticks) {
+      const x = plot.left + ((tick - xScale.min) / (xScale.max - xScale.min)) * plot.width;
+      parts.push(`<line x1="${round2(x)}" y1="${plot.top}" x2="${round2(x)}" y2="${plot.bottom}" stroke="#f3f4f6"/>`);
+      parts.push(svgText(x, plot.bottom + 16, formatTick(tick), { size: 10 }));
+    }
+  }
+  if (xTitle) parts.push(svgText(plot.left + plot.width / 2, plot.bottom + 36, truncateLabel(xTitle, 60), { size: 11, weight: 'bold' }));
+  if (yTitle) parts.push(svgText(14, plot.top + plot.height / 2, truncateLabel(yTitle, 40), { size: 11, weight: 'bold', rotate: -90 }));
+  return { markup: parts.join(''), yPosition };
+}
+
+function renderBarSVG(config, plot) {
+  const { labels, datasets } = config.data;
+  const stacked = Boolean(config.options.scales && config.options.scales.y && config.options.scales.y.stacked);
+  const flush = datasets.some(dataset => dataset.barPercentage === 1);
+
+  let min = 0;
+  let max = 0;
+  labels.forEach((_, index) => {
+    let positive = 0;
+    let negative = 0;
+    for (const dataset of datasets) {
+      const value = dataset.data[index];
+      if (value === null || value === undefined) continue;
+      if (stacked) {
+        if (value >= 0) positive += value; else negative += value;
+      } else {
+        positive = Math.max(positive, value);
+        negative = Math.min(negative, value);
       }
     }
-    
-    // Build context from recent chat history
-    let context = '';
-    if (chatHistory.length > 0) {
-      const recentHistory = chatHistory.slice(-2);
-      context = '\n\nRecent conversation context:\n';
-      for (let i = 0; i < recentHistory.length; i++) {
-        const entry = recentHistory[i];
-        context += `Previous question ${i + 1}: ${entry.question}\n`;
-        context += `Previous SQL: ${entry.sql}\n`;
-        context += `Previous results: ${entry.result_count} rows\n`;
+    max = Math.max(max, positive);
+    min = Math.min(min, negative);
+  });
+  const yScale = niceScale(min, max, { includeZero: true });
+  const axes = svgAxes(plot, yScale, {
+    xTitle: axisTitleText(config, 'x'),
+    yTitle: axisTitleText(config, 'y'),
+    xLabels: labels
+  });
+
+  const parts = [axes.markup];
+  const band = plot.width / labels.length;
+  const groupWidth = band * (flush ? 1 : 0.8);
+  const barWidth = stacked ? groupWidth : groupWidth / datasets.length;
+  labels.forEach((label, index) => {
+    const groupLeft = plot.left + index * band + (band - groupWidth) / 2;
+    let positive = 0;
+    let negative = 0;
+    datasets.forEach((dataset, datasetIndex) => {
+      const value = dataset.data[index];
+      if (value === null || value === undefined) return;
+      let from = 0;
+      if (stacked) {
+        from = value >= 0 ? positive : negative;
+        if (value >= 0) positive += value; else negative += value;
+      }
+      const y1 = axes.yPosition(from);
+      const y2 = axes.yPosition(from + value);
+      const x = stacked ? groupLeft : groupLeft + datasetIndex * barWidth;
+      const fill = typeof dataset.backgroundColor === 'string' ? dataset.backgroundColor : chartColor(datasetIndex, 0.8);
+      parts.push(`<rect x="${round2(x)}" y="${round2(Math.min(y1, y2))}" width="${round2(Math.max(barWidth - (flush ? 1 : 0), 1))}" height="${round2(Math.abs(y2 - y1))}" fill="${fill}"><title>${escapeXML(`${dataset.label}: ${label} = ${value}`)}</title></rect>`);
+    });
+  });
+  return parts.join('');
+}
+
+function renderLineSVG(config, plot) {
+  const { labels, datasets } = config.data;
+  const stacked = Boolean(config.options.scales && config.options.scales.y && config.options.scales.y.stacked);
+
+  // Cumulative values for stacked areas; each dataset fills down to the previous one
+  const tops = [];
+  const bases = [];
+  let running = labels.map(() => 0);
+  for (const dataset of datasets) {
+    const base = stacked ? running : labels.map(() => 0);
+    const top = dataset.data.map((value, index) => (value === null || value === undefined
+      ? null
+      : stacked ? base[index] + value : value));
+    bases.push(base);
+    tops.push(top);
+    if (stacked) running = top.map((value, index) => (value === null ? base[index] : value));
+  }
+  const values = tops.flat().filter(value => value !== null);
+  const anyFill = datasets.some(dataset => dataset.fill && dataset.fill !== false);
+  const yScale = niceScale(Math.min(...values), Math.max(...values), { includeZero: anyFill || config.options.scales?.y?.beginAtZero });
+  const axes = svgAxes(plot, yScale, {
+    xTitle: axisTitleText(config, 'x'),
+    yTitle: axisTitleText(config, 'y'),
+    xLabels: labels
+  });
+
+  const band = plot.width / labels.length;
+  const xPosition = index => plot.left + (index + 0.5) * band;
+  const parts = [axes.markup];
+  datasets.forEach((dataset, datasetIndex) => {
+    const color = datasetColor(dataset, datasetIndex);
+    // Runs of consecutive non-null points; spanGaps joins across nulls
+    const segments = [];
+    let current = [];
+    tops[datasetIndex].forEach((value, index) => {
+      if (value === null) {
+        if (!dataset.spanGaps && current.length > 0) {
+          segments.push(current);
+          current = [];
+        }
+        return;
+      }
+      current.push(index);
+    });
+    if (current.length > 0) segments.push(current);
+
+    for (const segment of segments) {
+      if (dataset.fill && dataset.fill !== false) {
+        const upper = segment.map(index => `${round2(xPosition(index))},${round2(axes.yPosition(tops[datasetIndex][index]))}`);
+        const lower = [...segment].reverse().map(index => `${round2(xPosition(index))},${round2(axes.yPosition(bases[datasetIndex][index]))}`);
+        const fill = typeof dataset.backgroundColor === 'string' ? dataset.backgroundColor : chartColor(datasetIndex, 0.35);
+        parts.push(`<polygon points="${[...upper, ...lower].join(' ')}" fill="${fill}" stroke="none"/>`);
+      }
+      const points = segment.map(index => `${round2(xPosition(index))},${round2(axes.yPosition(tops[datasetIndex][index]))}`);
+      parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`);
+      if (labels.length <= 60) {
+        for (const index of segment) {
+          parts.push(`<circle cx="${round2(xPosition(index))}" cy="${round2(axes.yPosition(tops[datasetIndex][index]))}" r="3" fill="${color}"><title>${escapeXML(`${dataset.label}: ${labels[index]} = ${dataset.data[index]}`)}</title></circle>`);
+        }
+      }
+    }
+  });
+  return parts.join('');
+}
+
+function renderScatterSVG(config, plot) {
+  const points = config.data.datasets.flatMap(dataset => dataset.data);
+  const xScale = niceScale(Math.min(...points.map(point => point.x)), Math.max(...points.map(point => point.x)));
+  const yScale = niceScale(Math.min(...points.map(point => point.y)), Math.max(...points.map(point => point.y)));
+  const axes = svgAxes(plot, yScale, {
+    xTitle: axisTitleText(config, 'x'),
+    yTitle: axisTitleText(config, 'y'),
+    xScale
+  });
+  const xPosition = value => plot.left + ((value - xScale.min) / (xScale.max - xScale.min)) * plot.width;
+  const parts = [axes.markup];
+  config.data.datasets.forEach((dataset, index) => {
+    const fill = typeof dataset.backgroundColor === 'string' ? dataset.backgroundColor : chartColor(index, 0.6);
+    for (const point of dataset.data) {
+      const label = point.label ? `${point.label}: ` : '';
+      parts.push(`<circle cx="${round2(xPosition(point.x))}" cy="${round2(axes.yPosition(point.y))}" r="4" fill="${fill}" stroke="${datasetColor(dataset, index)}"><title>${escapeXML(`${label}(${point.x}, ${point.y})`)}</title></circle>`);
+    }
+  });
+  return parts.join('');
+}
+
+function renderPieSVG(config, plot) {
+  const dataset = config.data.datasets[0];
+  const colors = Array.isArray(dataset.backgroundColor) ? dataset.backgroundColor : chartPalette(config.data.labels.length, 0.8);
+  const slices = config.data.labels
+    .map((label, index) => ({ label, value: dataset.data[index], color: colors[index] || chartColor(index, 0.8) }))
+    .filter(slice => typeof slice.value === 'number' && slice.value > 0);
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  if (total === 0) return '';
+
+  // Pie on the left, legend with shares on the right
+  const radius = Math.min(plot.height, plot.width * 0.55) / 2;
+  const cx = plot.left + radius;
+  const cy = plot.top + plot.height / 2;
+  const parts = [];
+  let angle = -Math.PI / 2;
+  for (const slice of slices) {
+    const share = slice.value / total;
+    const tooltip = `<title>${escapeXML(`${slice.label}: ${slice.value} (${(share * 100).toFixed(1)}%)`)}</title>`;
+    if (share >= 0.9999) {
+      parts.push(`<circle cx="${round2(cx)}" cy="${round2(cy)}" r="${round2(radius)}" fill="${slice.color}" stroke="#ffffff">${tooltip}</circle>`);
+      continue;
+    }
+    const end = angle + share * 2 * Math.PI;
+    const large = share > 0.5 ? 1 : 0;
+    const x1 = cx + radius * Math.cos(angle);
+    const y1 = cy + radius * Math.sin(angle);
+    const x2 = cx + radius * Math.cos(end);
+    const y2 = cy + radius * Math.sin(end);
+    parts.push(`<path d="M${round2(cx)},${round2(cy)} L${round2(x1)},${round2(y1)} A${round2(radius)},${round2(radius)} 0 ${large} 1 ${round2(x2)},${round2(y2)} Z" fill="${slice.color}" stroke="#ffffff">${tooltip}</path>`);
+    angle = end;
+  }
+
+  const legendX = cx + radius + 24;
+  const rows = Math.max(1, Math.floor(plot.height / 18));
+  slices.slice(0, rows).forEach((slice, index) => {
+    const y = plot.top + 12 + index * 18;
+    const text = index === rows - 1 && slices.length > rows
+      ? `+${slices.length - rows + 1} more`
+      : `${truncateLabel(slice.label, 24)} (${((slice.value / total) * 100).toFixed(1)}%)`;
+    parts.push(`<rect x="${round2(legendX)}" y="${round2(y - 9)}" width="11" height="11" rx="2" fill="${slice.color}"/>`);
+    parts.push(svgText(legendX + 16, y, text, { anchor: 'start' }));
+  });
+  return parts.join('');
+}
+
+function axisTitleText(config, axis) {
+  const scale = config.options && config.options.scales && config.options.scales[axis];
+  return scale && scale.title && scale.title.display !== false ? scale.title.text : null;
+}
+
+function renderChartSVG(chartData, { width = 720, height = 400 } = {}) {
+  /**
+   * Render a Chart.js config from generateChartData as a standalone SVG document.
+   * Returns null for configs it cannot draw.
+   */
+  if (!chartData || !chartData.data || !Array.isArray(chartData.data.datasets) || chartData.data.datasets.length === 0) {
+    return null;
+  }
+  const config = { ...chartData, options: chartData.options || {} };
+  const title = config.options.plugins && config.options.plugins.title ? config.options.plugins.title.text : null;
+
+  let top = 16;
+  const parts = [];
+  if (title) {
+    parts.push(svgText(width / 2, top + 12, truncateLabel(title, Math.floor(width / 8)), { size: 15, weight: 'bold', color: '#111827' }));
+    top += 28;
+  }
+  if (config.type !== 'pie' && config.data.datasets.length > 1) {
+    const legend = svgLegend(
+      config.data.datasets.map((dataset, index) => ({ label: dataset.label, color: datasetColor(dataset, index) })),
+      width,
+      top + 10
+    );
+    parts.push(legend.markup);
+    top += legend.height + 6;
+  }
+  const plot = { left: 64, right: width - 20, top: top + 6, bottom: height - (config.type === 'pie' ? 16 : 48) };
+  plot.width = plot.right - plot.left;
+  plot.height = plot.bottom - plot.top;
+  if (config.type === 'pie') {
+    plot.left = 24;
+    plot.width = plot.right - plot.left;
+  }
+
+  let body;
+  if (config.type === 'bar') {
+    body = renderBarSVG(config, plot);
+  } else if (config.type === 'line') {
+    body = renderLineSVG(config, plot);
+  } else if (config.type === 'scatter') {
+    body = renderScatterSVG(config, plot);
+  } else if (config.type === 'pie') {
+    body = renderPieSVG(config, plot);
+  } else {
+    return null;
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${CHART_SVG_FONT}" role="img">`,
+    title ? `<title>${escapeXML(title)}</title>` : '',
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...parts,
+    body,
+    '</svg>'
+  ].join('');
+}
+
+/** === Reports === **/
+// A report is an ordered list of typed items:
+//   { id, type: 'query', title, sql, connection_id, chart: { type, title, format } | null, last_result, last_error }
+//   { id, type: 'text', title, content }
+// Query items run on their own connection_id, else the report's, else the default connection.
+// last_result/last_error are written by refreshes only; clients cannot set them.
+const REPORT_ITEM_TYPES = ['query', 'text'];
+const REPORT_MAX_ITEMS = 50;
+const REPORT_ITEM_SAMPLE_ROWS = 20;
+// is_public, share_url and share are managed through the share routes
+const REPORT_FIELDS = ['title', 'description', 'connection_id', 'items', 'schedule', 'webhook_url'];
+
+async function validateReportItem(item, index, report, existingItems, user) {
+  const errors = [];
+  const prefix = `items[${index}]`;
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { errors: [`${prefix} must be an object`], item: null };
+  }
+  if (!REPORT_ITEM_TYPES.includes(item.type)) {
+    return { errors: [`${prefix}.type must be one of: ${REPORT_ITEM_TYPES.join(', ')}`], item: null };
+  }
+  if (item.id !== undefined && (typeof item.id !== 'string' || !item.id.trim())) {
+    errors.push(`${prefix}.id must be a non-empty string`);
+  }
+  if (item.title !== undefined && item.title !== null && typeof item.title !== 'string') {
+    errors.push(`${prefix}.title must be a string`);
+  }
+
+  const validated = { id: item.id || uuidv4(), type: item.type, title: item.title || null };
+  if (item.type === 'text') {
+    if (typeof item.content !== 'string' || !item.content.trim()) {
+      errors.push(`${prefix}.content is required`);
+    }
+    validated.content = item.content;
+    return { errors, item: validated };
+  }
+
+  if (typeof item.sql !== 'string' || !item.sql.trim()) {
+    errors.push(`${prefix}.sql is required`);
+  }
+  if (item.connection_id !== undefined && item.connection_id !== null && typeof item.connection_id !== 'string') {
+    errors.push(`${prefix}.connection_id must be a string`);
+  }
+  if (item.chart !== undefined && item.chart !== null) {
+    if (typeof item.chart !== 'object' || !CHART_TYPES.includes(item.chart.type)) {
+      errors.push(`${prefix}.chart.type must be one of: ${CHART_TYPES.join(', ')}`);
+    } else if (item.chart.title !== undefined && typeof item.chart.title !== 'string') {
+      errors.push(`${prefix}.chart.title must be a string`);
+    } else if (item.chart.format !== undefined && !CHART_FORMATS.includes(item.chart.format)) {
+      errors.push(`${prefix}.chart.format must be one of: ${CHART_FORMATS.join(', ')}`);
+    }
+  }
+  if (errors.length > 0) return { errors, item: null };
+
+  // Saved SQL must pass the same guard (and data access policy) as generated SQL, in the dialect it will run on
+  const connectionId = item.connection_id || report.connection_id;
+  const connection = await getConnectionForUser(connectionId, user);
+  if (!connection) {
+    errors.push(`${prefix}.connection_id: connection ${connectionId} not found`);
+  } else {
+    try {
+      guardSQLStatement(item.sql, connection.dialect);
+      await enforceSQLPolicy(item.sql, connection);
+    } catch (error) {
+      if (!(error instanceof SQLGuardError)) throw error;
+      errors.push(`${prefix}.sql: ${error.message}`);
+    }
+  }
+
+  Object.assign(validated, {
+    sql: item.sql.trim(),
+    connection_id: item.connection_id || null,
+    chart: item.chart
+      ? { type: item.chart.type, title: item.chart.title || null, format: item.chart.format || 'chartjs' }
+      : null,
+    last_result: null,
+    last_error: null
+  });
+
+  // Unchanged query items keep their last refresh
+  const previous = existingItems.find(existing => existing.id === validated.id && existing.type === 'query');
+  const previousConnectionId = previous && (previous.connection_id || report.previous_connection_id || null);
+  if (previous && previous.sql === validated.sql && previousConnectionId === (validated.connection_id || report.connection_id || null)) {
+    validated.last_result = previous.last_result || null;
+    validated.last_error = previous.last_error || null;
+  }
+  return { errors, item: validated };
+}
+
+// Validates a report body. With `existing` (PUT) only the given fields are checked and
+// the result holds just those fields; otherwise title is required. Query items may only
+// use connections that `user` can access.
+async function validateReport(body, existing, user) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['body must be a JSON object'], report: null };
+  }
+
+  const report = {};
+  for (const field of REPORT_FIELDS) {
+    if (body[field] !== undefined) report[field] = body[field];
+  }
+
+  if (!existing || report.title !== undefined) {
+    if (typeof report.title !== 'string' || !report.title.trim()) {
+      errors.push('title is required');
+    }
+  }
+  for (const field of ['description', 'connection_id']) {
+    if (report[field] !== undefined && report[field] !== null && typeof report[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (report.schedule !== undefined) {
+    errors.push(...validateReportSchedule(report.schedule));
+    if (report.schedule) {
+      report.schedule = {
+        cron: report.schedule.cron,
+        timezone: report.schedule.timezone || 'UTC',
+        enabled: report.schedule.enabled !== false
+      };
+    }
+  }
+  if (report.webhook_url !== undefined && report.webhook_url !== null) {
+    let url = null;
+    try {
+      url = new URL(report.webhook_url);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || url.protocol !== 'https:') {
+      errors.push('webhook_url must be an https URL');
+    } else {
+      const rejection = await checkWebhookURL(report.webhook_url);
+      if (rejection) errors.push(rejection);
+    }
+  }
+
+  if (typeof report.connection_id === 'string') {
+    if (!(await getConnectionForUser(report.connection_id, user))) {
+      errors.push(`connection_id: connection ${report.connection_id} not found`);
+    }
+  }
+
+  if (!existing && report.items === undefined) {
+    report.items = [];
+  }
+  // Items without their own connection move with the report's: check them against the new one
+  if (existing && report.items === undefined && report.connection_id !== undefined &&
+      (report.connection_id || null) !== (existing.connection_id || null)) {
+    report.items = existing.items || [];
+  }
+  if (report.items !== undefined) {
+    if (!Array.isArray(report.items)) {
+      errors.push('items must be an array');
+    } else if (report.items.length > REPORT_MAX_ITEMS) {
+      errors.push(`a report may have at most ${REPORT_MAX_ITEMS} items`);
+    } else {
+      const context = {
+        connection_id: report.connection_id !== undefined ? report.connection_id : existing && existing.connection_id,
+        previous_connection_id: existing ? existing.connection_id || null : null
+      };
+      const items = [];
+      for (let i = 0; i < report.items.length; i++) {
+        const validated = await validateReportItem(report.items[i], i, context, (existing && existing.items) || [], user);
+        errors.push(...validated.errors);
+        items.push(validated.item);
+      }
+      const ids = items.filter(Boolean).map(item => item.id);
+      if (new Set(ids).size !== ids.length) {
+        errors.push('item ids must be unique');
       }
+      report.items = items;
     }
-    
-    const prompt = `
-Given this question: "${question}"
+  }
 
-And these table schemas:
-${schemaDesc}
-${context}
+  return { errors, report: errors.length ? null : report };
+}
 
-Generate a SQL query to answer the question.
+// The report's owner as a caller, for scheduled runs and refreshes triggered by admins
+const reportOwner = report => (AUTH_ENABLED ? { id: report.owner_id || null, role: 'user' } : ANONYMOUS_USER);
 
-CRITICAL SQL GUIDELINES:
-1. Use PostgreSQL syntax:
-   - Use double quotes (") for identifiers, NOT backticks (\`)
-   - Use single quotes (') for string literals
-   - Use CURRENT_TIMESTAMP instead of NOW()
-2. ALWAYS qualify column names with table names to avoid ambiguity:
-   - Use "users"."id" instead of just "id"
-   - Use "orders"."total_amount" instead of just "total_amount"
-3. NEVER use window functions (ROW_NUMBER(), RANK(), etc.) in WHERE clauses
-4. Keep queries simple - avoid complex nested subqueries
-5. Always use LIMIT 10 or less to avoid large result sets
+// Re-run every query item through the /ask execution path (sandbox, result record, chart).
+// `audit` ({ source, userId }) describes the run in the audit log.
+async function refreshReport(report, audit = {}) {
+  const refreshedAt = new Date();
+  const items = [];
+  for (const item of report.items || []) {
+    if (item.type !== 'query') {
+      items.push(item);
+      continue;
+    }
 
-Return only the SQL query, no explanation.
-    `;
-    
-    const response = await axios.post(AI_API_URL, {
-      model: MISTRAL_MODEL,
-      messages: [
-        { 
-          role: 'system', 
-          content: 'You are a PostgreSQL SQL expert. NEVER use window functions (ROW_NUMBER, RANK, etc.) in WHERE clauses - use subqueries instead. Return ONLY the raw SQL query with NO markdown formatting, NO code blocks, NO explanations.' 
+    // Resolved as the owner, who may have lost access since the report was saved
+    const connectionId = item.connection_id || report.connection_id;
+    const connection = await getConnectionForUser(connectionId, reportOwner(report));
+    if (!connection) {
+      items.push({ ...item, last_error: { message: `Connection ${connectionId} not found`, code: null, at: refreshedAt } });
+      continue;
+    }
+
+    try {
+      const execution = await executeAndRecordQuery(item.sql, connection, {
+        ownerId: report.owner_id || null,
+        question: item.title || report.title,
+        audit: { ...audit, reportId: report.id }
+      });
+      // The SVG is always drawn from the Chart.js config, whatever format the item asks for
+      const chartConfig = item.chart ? generateChartData(execution.rows, item.chart.type, { title: item.chart.title }) : null;
+      const chartData = chartConfig && item.chart.format === 'vega-lite'
+        ? generateChartData(execution.rows, item.chart.type, { format: 'vega-lite', title: item.chart.title })
+        : chartConfig;
+      items.push({
+        ...item,
+        last_result: {
+          result_id: execution.result.result_id,
+          results: execution.rows.slice(0, REPORT_ITEM_SAMPLE_ROWS),
+          result_count: execution.rows.length,
+          results_truncated: execution.truncated,
+          execution_time_ms: execution.execution_time_ms,
+          chart_data: chartData,
+          chart_svg: renderChartSVG(chartConfig),
+          refreshed_at: refreshedAt
         },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 200,
-      temperature: 0.1
-    }, {
-      headers: {
-        'Authorization': `Bearer ${AI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://askbase.local',
-        'X-Title': 'AskBase'
-      }
-    });
-    
-    const sqlQuery = response.data.choices[0].message.content.trim();
-    const cleanedSQL = cleanSQLResponse(sqlQuery);
-    
-    console.log(`🔍 AI generated SQL: ${cleanedSQL}`);
-    return cleanedSQL;
-  } catch (error) {
-    console.error('Error asking AI for SQL:', error);
-    // Fallback to simple SELECT
-    if (relevantTables.length > 0) {
-      const tableName = relevantTables[0].name;
-      const columns = relevantTables[0].columns.map(col => col.name);
-      return `SELECT ${columns.join(', ')} FROM "${tableName}" LIMIT 5;`;
+        last_error: null
+      });
+    } catch (error) {
+      console.error(`[Reports] Item ${item.id} of report ${report.id} failed:`, error.message);
+      // The previous result stays in place so the report keeps showing data
+      items.push({
+        ...item,
+        last_error: { message: error.message, code: error instanceof SQLGuardError ? error.code : null, at: refreshedAt }
+      });
     }
-    return 'SELECT 1;';
   }
+
+  const mongo = await getMongoClient();
+  await mongo.db(MONGODB_DB_NAME).collection('reports').updateOne(
+    { id: report.id, owner_id: report.owner_id ?? null },
+    { $set: { items, refreshed_at: refreshedAt } }
+  );
+  return { ...report, items, refreshed_at: refreshedAt };
 }
 
-async function generateNaturalLanguageAnswer(question, sqlQuery, results, tablesUsed, chatHistory = []) {
-  if (!AI_API_KEY) {
-    // Fallback: simple answer
-    console.log('⚠️  No AI API key, using simple answer fallback');
-    return `Found ${results.length} results from the query.`;
+function formatReport(report) {
+  const toISO = value => (value instanceof Date ? value.toISOString() : value);
+  return {
+    ...report,
+    _id: report._id ? report._id.toString() : undefined,
+    share: report.share ? { ...report.share, created_at: toISO(report.share.created_at), expires_at: toISO(report.share.expires_at) } : undefined,
+    created_at: toISO(report.created_at),
+    updated_at: toISO(report.updated_at),
+    refreshed_at: toISO(report.refreshed_at) || null
+  };
+}
+
+// Report ids are generated server-side; the unique index keeps id-based updates to one report
+let reportIndexesEnsured = false;
+async function getReportsCollection() {
+  const mongo = await getMongoClient();
+  const collection = mongo.db(MONGODB_DB_NAME).collection('reports');
+  if (!reportIndexesEnsured) {
+    await collection.createIndex({ id: 1 }, { unique: true });
+    reportIndexesEnsured = true;
   }
-  
-  try {
-    // Build context from recent chat history
-    let context = '';
-    if (chatHistory.length > 0) {
-      const recentHistory = chatHistory.slice(-2);
-      context = '\n\nRecent conversation context:\n';
-      for (let i = 0; i < recentHistory.length; i++) {
-        const entry = recentHistory[i];
-        context += `Previous question ${i + 1}: ${entry.question}\n`;
-        context += `Previous answer: ${entry.answer}\n`;
-      }
+  return collection;
+}
+
+async function findReportForUser(id, user) {
+  const mongo = await getMongoClient();
+  return mongo.db(MONGODB_DB_NAME).collection('reports').findOne({ id, ...ownerScope(user) });
+}
+
+/** === Report Sharing === **/
+// A report has at most one share link: POST /reports/:id/share mints a new random token
+// (replacing any previous one) and DELETE revokes it. The token is stored on the report as
+// `share: { token, created_at, expires_at, include_sql }` next to `is_public` and `share_url`.
+const SHARE_MAX_EXPIRY_HOURS = 24 * 365;
+
+function validateShareOptions(body = {}) {
+  const errors = [];
+  let expiresAt = null;
+  if (body.expires_in_hours !== undefined && body.expires_at !== undefined) {
+    errors.push('use either expires_in_hours or expires_at, not both');
+  } else if (body.expires_in_hours !== undefined) {
+    const hours = Number(body.expires_in_hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > SHARE_MAX_EXPIRY_HOURS) {
+      errors.push(`expires_in_hours must be a number between 0 and ${SHARE_MAX_EXPIRY_HOURS}`);
+    } else {
+      expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
     }
-    
-    const prompt = `
-Given this question: "${question}"
+  } else if (body.expires_at !== undefined) {
+    expiresAt = new Date(body.expires_at);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      errors.push('expires_at must be a future date');
+    }
+  }
+  if (body.include_sql !== undefined && typeof body.include_sql !== 'boolean') {
+    errors.push('include_sql must be a boolean');
+  }
+  return { errors, options: { expires_at: expiresAt, include_sql: body.include_sql === true } };
+}
 
-SQL query executed: ${sqlQuery}
-Tables used: ${tablesUsed.join(', ')}
-Number of results: ${results.length}
-${context}
+function shareUrlFor(req, token) {
+  const base = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/+$/, '')}/shared/reports/${token}`;
+}
 
-Generate a natural language answer based on the SQL results. Keep it concise and informative.
-    `;
-    
-    const response = await axios.post(AI_API_URL, {
-      model: MISTRAL_MODEL,
-      messages: [
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 300,
-      temperature: 0.3
-    }, {
-      headers: {
-        'Authorization': `Bearer ${AI_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://askbase.local',
-        'X-Title': 'AskBase'
+// What a share link exposes: text blocks and the rendered results of query items.
+// Connections, result ids and error details are never included; SQL only when allowed.
+function renderSharedReport(report) {
+  const includeSQL = report.share.include_sql;
+  return {
+    title: report.title,
+    description: report.description || null,
+    refreshed_at: report.refreshed_at || null,
+    expires_at: report.share.expires_at,
+    items: (report.items || []).map(item => {
+      if (item.type === 'text') {
+        return { type: 'text', title: item.title || null, content: item.content };
       }
-    });
-    
-    return response.data.choices[0].message.content;
-  } catch (error) {
-    console.error('Error generating natural language answer:', error);
-    return `Found ${results.length} results from the query.`;
+      const result = item.last_result || null;
+      return {
+        type: 'query',
+        title: item.title || null,
+        ...(includeSQL ? { sql: item.sql } : {}),
+        chart: item.chart || null,
+        chart_data: result ? result.chart_data : null,
+        chart_svg: result ? result.chart_svg || null : null,
+        results: result ? result.results : [],
+        result_count: result ? result.result_count : 0,
+        results_truncated: result ? result.results_truncated : false,
+        refreshed_at: result ? result.refreshed_at : null,
+        error: item.last_error ? 'This item could not be refreshed' : null
+      };
+    })
+  };
+}
+
+/** === Report Scheduler === **/
+// Reports with `schedule: { cron, timezone, enabled }` are refreshed when `next_run_at` passes.
+// runDueReports() is driven by a timer in the long-running server and by the
+// reportScheduler Lambda function (see handler.js). Each due report is claimed by moving its
+// next_run_at forward atomically, so concurrent schedulers never run it twice.
+// Every run stores a document in `report_snapshots` and, when the report has a
+// webhook_url, POSTs the snapshot there.
+
+function validateReportSchedule(schedule) {
+  const errors = [];
+  if (schedule === null) return errors;
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['schedule must be an object or null'];
+  }
+  if (typeof schedule.cron !== 'string' || schedule.cron.trim().split(/\s+/).length !== 5) {
+    errors.push('schedule.cron must be a cron expression with 5 fields (minute hour day month weekday)');
   }
+  if (schedule.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (error) {
+      errors.push(`schedule.timezone ${schedule.timezone} is not a valid IANA time zone`);
+    }
+  }
+  if (schedule.enabled !== undefined && typeof schedule.enabled !== 'boolean') {
+    errors.push('schedule.enabled must be a boolean');
+  }
+  if (errors.length === 0) {
+    try {
+      CronExpressionParser.parse(schedule.cron, { tz: schedule.timezone || 'UTC' });
+    } catch (error) {
+      errors.push(`schedule.cron is invalid: ${error.message}`);
+    }
+  }
+  return errors;
 }
 
-// MongoDB session functions
-async function saveChatSession(sessionData) {
-  try {
-    const session = {
-      session_id: sessionData.session_id,
-      created_at: new Date(),
-      last_activity: new Date(),
-      database_connection: sessionData.database_connection,
-      ai_model_used: sessionData.ai_model_used || MISTRAL_MODEL,
-      status: 'active',
-      messages: sessionData.messages || [],
-      metadata: sessionData.metadata || {
-        total_execution_time_ms: 0,
-        tables_accessed: [],
-        message_count: 0
+function nextScheduledRun(schedule, after = new Date()) {
+  if (!schedule || schedule.enabled === false) return null;
+  return CronExpressionParser.parse(schedule.cron, { tz: schedule.timezone || 'UTC', currentDate: after }).next().toDate();
+}
+
+async function getReportSnapshotsCollection() {
+  const mongo = await getMongoClient();
+  const collection = mongo.db(MONGODB_DB_NAME).collection('report_snapshots');
+  await collection.createIndex({ report_id: 1, run_at: -1 });
+  return collection;
+}
+
+// Only the fields a reader of the snapshot needs, frozen at run time
+function buildReportSnapshot(report, trigger) {
+  const queryItems = report.items.filter(item => item.type === 'query');
+  const failed = queryItems.filter(item => item.last_error).length;
+  return {
+    snapshot_id: uuidv4(),
+    report_id: report.id,
+    title: report.title,
+    description: report.description || null,
+    trigger,
+    run_at: report.refreshed_at,
+    status: failed === 0 ? 'success' : failed === queryItems.length ? 'failed' : 'partial',
+    items: report.items.map(item => (item.type === 'query'
+      ? {
+        id: item.id,
+        type: item.type,
+        title: item.title,
+        sql: item.sql,
+        chart: item.chart,
+        result: item.last_error ? null : item.last_result,
+        error: item.last_error || null
       }
-    };
-    
-    const mongo = await getMongoClient();
-    const db = mongo.db(MONGODB_DB_NAME);
-    await db.collection('chat_sessions').insertOne(session);
-    return true;
-  } catch (error) {
-    console.error('Error saving chat session:', error);
-    return false;
-  }
+      : { id: item.id, type: item.type, title: item.title, content: item.content })),
+    delivery: null
+  };
 }
 
-async function getChatSession(sessionId) {
+// Webhooks are called from inside the deployment, so they may only reach public https hosts
+// (and only those in REPORT_WEBHOOK_ALLOWED_HOSTS when it is set). Addresses are checked when
+// the report is saved and again when connecting, and redirects are not followed.
+// IPv6 must be global unicast (2000::/3), minus the ranges that embed IPv4 addresses
+// (6to4, Teredo) or are reserved; NAT64, IPv4-mapped and ULA addresses fall outside it.
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 3]]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['3fff::', 20]]) {
+  WEBHOOK_BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+const WEBHOOK_GLOBAL_UNICAST = new net.BlockList();
+WEBHOOK_GLOBAL_UNICAST.addSubnet('2000::', 3, 'ipv6');
+
+function isBlockedWebhookAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return WEBHOOK_BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family === 6) return !WEBHOOK_GLOBAL_UNICAST.check(address, 'ipv6') || WEBHOOK_BLOCKED_ADDRESSES.check(address, 'ipv6');
+  return true;
+}
+
+// Why `webhookUrl` may not be called, or null when it may
+async function checkWebhookURL(webhookUrl) {
+  let url;
   try {
-    const mongo = await getMongoClient();
-    const db = mongo.db(MONGODB_DB_NAME);
-    const session = await db.collection('chat_sessions').findOne({ session_id: sessionId });
-    return session;
+    url = new URL(webhookUrl);
   } catch (error) {
-    console.error('Error getting chat session:', error);
-    return null;
+    return 'webhook_url must be an https URL';
+  }
+  if (url.protocol !== 'https:') return 'webhook_url must be an https URL';
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (REPORT_WEBHOOK_ALLOWED_HOSTS.length > 0 && !REPORT_WEBHOOK_ALLOWED_HOSTS.some(host => globToRegExp(host).test(hostname))) {
+    return `webhook_url host ${hostname} is not allowed`;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `webhook_url host ${hostname} could not be resolved`;
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+    return `webhook_url host ${hostname} resolves to a private or reserved address`;
   }
+  return null;
 }
 
-async function updateChatSession(sessionId, updateData) {
-  try {
-    const mongo = await getMongoClient();
-    const db = mongo.db(MONGODB_DB_NAME);
-    const result = await db.collection('chat_sessions').updateOne(
-      { session_id: sessionId },
-      { 
-        $set: { 
-          ...updateData,
-          last_activity: new Date()
-        } 
+// Re-checks the addresses actually connected to, so DNS cannot change between check and request
+const webhookAgent = new https.Agent({
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some(entry => isBlockedWebhookAddress(entry.address))) {
+        return callback(new Error(`Webhook host ${hostname} resolves to a private or reserved address`));
       }
-    );
-    return result.modifiedCount > 0;
+      callback(null, address, family);
+    });
+  }
+});
+
+async function deliverReportSnapshot(webhookUrl, snapshot) {
+  const payload = JSON.stringify({ event: 'report.snapshot', report_id: snapshot.report_id, snapshot });
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'AskBase-Scheduler' };
+  if (REPORT_WEBHOOK_SECRET) {
+    headers['X-AskBase-Signature'] = `sha256=${crypto.createHmac('sha256', REPORT_WEBHOOK_SECRET).update(payload).digest('hex')}`;
+  }
+  const rejection = await checkWebhookURL(webhookUrl);
+  if (rejection) {
+    console.error(`[Scheduler] Webhook for report ${snapshot.report_id} refused: ${rejection}`);
+    return { status: 'failed', http_status: null, error: rejection, delivered_at: null };
+  }
+  try {
+    const response = await axios.post(webhookUrl, payload, {
+      headers,
+      timeout: REPORT_WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      proxy: false,
+      httpsAgent: webhookAgent
+    });
+    return { status: 'delivered', http_status: response.status, error: null, delivered_at: new Date() };
   } catch (error) {
-    console.error('Error updating chat session:', error);
-    return false;
+    console.error(`[Scheduler] Webhook delivery for report ${snapshot.report_id} failed:`, error.message);
+    return {
+      status: 'failed',
+      http_status: error.response ? error.response.status : null,
+      error: error.message,
+      delivered_at: null
+    };
   }
 }
 
-// Chart detection and generation
-function detectChartRequest(question) {
-  /**
-   * Detect if the user is requesting a chart and determine the chart type.
-   * Returns chart configuration or None if no chart is requested.
-   */
-  const questionLower = question.toLowerCase();
-  
-  // Chart type detection patterns
-  const chartPatterns = {
-    'bar': [
-      /\b(bar|bar chart|bar graph|bars)\b/,
-      /\b(show|display|create|generate|plot)\s+.*\b(bar)\b/,
-      /\b(visualize|visualise)\s+.*\b(bar)\b/
-    ],
-    'line': [
-      /\b(line|line chart|line graph|trend|trends)\b/,
-      /\b(show|display|create|generate|plot)\s+.*\b(line)\b/,
-      /\b(visualize|visualise)\s+.*\b(line)\b/,
-      /\b(over time|time series|timeline)\b/
-    ],
-    'pie': [
-      /\b(pie|pie chart|pie graph|percentage|proportion|distribution)\b/,
-      /\b(show|display|create|generate|plot)\s+.*\b(pie)\b/,
-      /\b(visualize|visualise)\s+.*\b(pie)\b/,
-      /\b(breakdown|composition|split)\b/
-    ],
-    'scatter': [
-      /\b(scatter|scatter plot|scatter chart|correlation)\b/,
-      /\b(show|display|create|generate|plot)\s+.*\b(scatter)\b/,
-      /\b(visualize|visualise)\s+.*\b(scatter)\b/,
-      /\b(relationship between|correlation between)\b/
-    ]
-  };
-  
-  // Check for chart keywords
-  for (const [chartType, patterns] of Object.entries(chartPatterns)) {
-    for (const pattern of patterns) {
-      if (pattern.test(questionLower)) {
-        return {
-          type: chartType,
-          requested: true,
-          confidence: 'high'
-        };
-      }
-    }
+// Refresh a report and store the run as a snapshot; scheduled runs are also delivered.
+// `userId` is whoever triggered the run (the report's owner for scheduled runs).
+async function runReport(report, trigger, userId = report.owner_id || null) {
+  const refreshed = await refreshReport(report, {
+    source: trigger === 'schedule' ? 'report_schedule' : 'report_refresh',
+    userId
+  });
+  const snapshot = buildReportSnapshot(refreshed, trigger);
+  if (trigger === 'schedule' && report.webhook_url) {
+    snapshot.delivery = await deliverReportSnapshot(report.webhook_url, snapshot);
   }
-  
-  // Check for general visualization requests
-  const vizKeywords = ['chart', 'graph', 'plot', 'visualize', 'visualise', 'diagram'];
-  for (const keyword of vizKeywords) {
-    if (questionLower.includes(keyword)) {
-      // Default to bar chart for general visualization requests
-      return {
-        type: 'bar',
-        requested: true,
-        confidence: 'medium'
-      };
+  const snapshots = await getReportSnapshotsCollection();
+  await snapshots.insertOne({ ...snapshot });
+
+  const mongo = await getMongoClient();
+  await mongo.db(MONGODB_DB_NAME).collection('reports').updateOne(
+    { id: report.id, owner_id: report.owner_id ?? null },
+    { $set: { last_run_at: refreshed.refreshed_at, last_snapshot_id: snapshot.snapshot_id } }
+  );
+  return { report: { ...refreshed, last_run_at: refreshed.refreshed_at, last_snapshot_id: snapshot.snapshot_id }, snapshot };
+}
+
+async function runDueReports(now = new Date()) {
+  const mongo = await getMongoClient();
+  const reports = mongo.db(MONGODB_DB_NAME).collection('reports');
+  let ran = 0;
+
+  for (;;) {
+    const due = await reports.findOne({ 'schedule.enabled': { $ne: false }, next_run_at: { $lte: now } });
+    if (!due) break;
+
+    // Claim the run: only the scheduler that moves next_run_at forward executes it
+    let nextRun = null;
+    try {
+      nextRun = nextScheduledRun(due.schedule, now);
+    } catch (error) {
+      console.error(`[Scheduler] Invalid schedule on report ${due.id}:`, error.message);
+    }
+    const claim = await reports.updateOne(
+      { id: due.id, owner_id: due.owner_id ?? null, next_run_at: due.next_run_at },
+      { $set: { next_run_at: nextRun } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    try {
+      const { snapshot } = await runReport(due, 'schedule');
+      console.log(`⏰ Ran scheduled report ${due.id} (${snapshot.status}), next run ${nextRun ? nextRun.toISOString() : 'never'}`);
+      ran++;
+    } catch (error) {
+      console.error(`[Scheduler] Report ${due.id} failed:`, error);
     }
   }
-  
-  return {
-    type: null,
-    requested: false,
-    confidence: 'none'
+  return ran;
+}
+
+let reportSchedulerTimer = null;
+
+function startReportScheduler() {
+  if (reportSchedulerTimer) return;
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueReports();
+    } catch (error) {
+      console.error('[Scheduler] Error:', error);
+    } finally {
+      running = false;
+    }
   };
+  reportSchedulerTimer = setInterval(tick, REPORT_SCHEDULER_INTERVAL_MS);
+  reportSchedulerTimer.unref();
+  console.log(`⏰ Report scheduler running every ${REPORT_SCHEDULER_INTERVAL_MS}ms`);
+}
+
+/** === Authentication === **/
+// Callers authenticate with an API key (`X-API-Key` header) or a JWT (`Authorization: Bearer`),
+// which sets req.user = { id, role: 'admin' | 'user', auth_method }. Sessions, reports, results
+// and connections carry the owner_id of their creator; users only see their own, admins see all.
+// With authentication disabled every caller is an anonymous admin, as before.
+const ANONYMOUS_USER = { id: null, role: 'admin', auth_method: 'none' };
+const PUBLIC_PATHS = ['/', '/health'];
+
+const sha256Hex = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// API keys are kept as SHA-256 digests so the configuration may hold either form
+function parseApiKeys(value) {
+  if (!value) return [];
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (error) {
+    console.error('[Auth] AUTH_API_KEYS is not valid JSON:', error.message);
+    return [];
+  }
+  if (!Array.isArray(entries)) {
+    console.error('[Auth] AUTH_API_KEYS must be a JSON array');
+    return [];
+  }
+  return entries
+    .filter(entry => entry && (entry.key || entry.key_sha256) && entry.user_id)
+    .map(entry => ({
+      digest: Buffer.from(entry.key_sha256 ? entry.key_sha256.toLowerCase() : sha256Hex(entry.key), 'hex'),
+      user: { id: String(entry.user_id), role: entry.role === AUTH_ADMIN_ROLE ? 'admin' : 'user', auth_method: 'api_key' }
+    }));
 }
 
-function generateChartData(results, chartType) {
-  /**
-   * Generate chart data from SQL results.
-   * Returns null if chart cannot be generated.
-   */
-  if (!results || results.length === 0) {
-    return null;
+const apiKeys = parseApiKeys(AUTH_API_KEYS);
+
+function authenticateApiKey(key) {
+  const digest = Buffer.from(sha256Hex(key), 'hex');
+  const match = apiKeys.find(entry => entry.digest.length === digest.length && crypto.timingSafeEqual(entry.digest, digest));
+  return match ? match.user : null;
+}
+
+// The JWKS file is re-read when a token names a kid it does not contain, so keys can be rotated in place
+let jwksKeys = null;
+function findJwk(kid) {
+  const find = () => (kid ? jwksKeys.find(key => key.kid === kid) : (jwksKeys.length === 1 ? jwksKeys[0] : null));
+  if (!jwksKeys || !find()) {
+    jwksKeys = (JSON.parse(fs.readFileSync(AUTH_JWKS_FILE, 'utf8')).keys || []).filter(key => key.kty === 'RSA');
   }
-  
+  return find();
+}
+
+function resolveJwtKey(header, callback) {
   try {
-    // Get column names from first result
-    const columns = Object.keys(results[0]);
-    
-    if (columns.length < 2) {
-      return null;
-    }
-    
-    // For bar, line, and pie charts, we need at least 2 columns
-    if (['bar', 'line', 'pie'].includes(chartType)) {
-      if (columns.length < 2) {
-        return null;
-      }
-      
-      // Use first column as labels/categories, second as values
-      const labelCol = columns[0];
-      const valueCol = columns[1];
-      
-      // Check if value column contains numeric data
-      const numericValues = [];
-      const labels = [];
-      
-      for (const row of results) {
-        try {
-          const value = parseFloat(row[valueCol]);
-          if (!isNaN(value)) {
-            numericValues.push(value);
-            labels.push(String(row[labelCol]));
-          }
-        } catch (error) {
-          continue;
-        }
-      }
-      
-      if (numericValues.length === 0) {
-        return null;
-      }
-      
-      if (chartType === 'bar') {
-        return {
-          type: 'bar',
-          data: {
-            labels: labels,
-            datasets: [{
-              label: valueCol,
-              data: numericValues,
-              backgroundColor: 'rgba(59, 130, 246, 0.8)',
-              borderColor: 'rgba(59, 130, 246, 1)',
-              borderWidth: 1
-            }]
-          },
-          options: {
-            responsive: true,
-            plugins: {
-              title: {
-                display: true,
-                text: `${valueCol} by ${labelCol}`
-              }
-            }
-          }
-        };
-      }
-      
-      else if (chartType === 'line') {
-        return {
-          type: 'line',
-          data: {
-            labels: labels,
-            datasets: [{
-              label: valueCol,
-              data: numericValues,
-              borderColor: 'rgba(59, 130, 246, 1)',
-              backgroundColor: 'rgba(59, 130, 246, 0.1)',
-              tension: 0.1
-            }]
-          },
-          options: {
-            responsive: true,
-            plugins: {
-              title: {
-                display: true,
-                text: `${valueCol} over ${labelCol}`
-              }
-            }
-          }
-        };
-      }
-      
-      else if (chartType === 'pie') {
-        return {
-          type: 'pie',
-          data: {
-            labels: labels,
-            datasets: [{
-              data: numericValues,
-              backgroundColor: [
-                'rgba(59, 130, 246, 0.8)',
-                'rgba(147, 51, 234, 0.8)',
-                'rgba(236, 72, 153, 0.8)',
-                'rgba(34, 197, 94, 0.8)',
-                'rgba(251, 146, 60, 0.8)'
-              ]
-            }]
-          },
-          options: {
-            responsive: true,
-            plugins: {
-              title: {
-                display: true,
-                text: `Distribution of ${valueCol}`
-              }
-            }
-          }
-        };
-      }
+    if (header.alg === 'HS256') {
+      return callback(null, AUTH_JWT_SECRET);
     }
-    
-    else if (chartType === 'scatter') {
-      if (columns.length < 3) {
-        return null;
-      }
-      
-      // For scatter plot, we need at least 3 columns: x, y, and optionally label
-      const xCol = columns[0];
-      const yCol = columns[1];
-      const labelCol = columns.length > 2 ? columns[2] : null;
-      
-      const points = [];
-      for (const row of results) {
-        try {
-          const x = parseFloat(row[xCol]);
-          const y = parseFloat(row[yCol]);
-          if (!isNaN(x) && !isNaN(y)) {
-            const point = { x: x, y: y };
-            if (labelCol) {
-              point.label = String(row[labelCol]);
-            }
-            points.push(point);
-          }
-        } catch (error) {
-          continue;
-        }
-      }
-      
-      if (points.length === 0) {
-        return null;
-      }
-      
-      return {
-        type: 'scatter',
-        data: {
-          datasets: [{
-            label: `${yCol} vs ${xCol}`,
-            data: points,
-            backgroundColor: 'rgba(59, 130, 246, 0.6)',
-            borderColor: 'rgba(59, 130, 246, 1)',
-            pointRadius: 6
-          }]
-        },
-        options: {
-          responsive: true,
-          plugins: {
-            title: {
-              display: true,
-              text: `${yCol} vs ${xCol}`
-            }
-          },
-          scales: {
-            x: {
-              title: {
-                display: true,
-                text: xCol
-              }
-            },
-            y: {
-              title: {
-                display: true,
-                text: yCol
-              }
-            }
-          }
-        }
-      };
+    if (AUTH_JWKS_FILE) {
+      const jwk = findJwk(header.kid);
+      if (!jwk) return callback(new Error(`No key found for kid ${header.kid}`));
+      return callback(null, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
     }
-    
-    return null;
-    
+    callback(null, AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, '\n'));
   } catch (error) {
-    console.error('❌ Error generating chart data:', error);
-    return null;
+    callback(error);
+  }
+}
+
+function verifyJwt(token) {
+  // Only algorithms with a configured key are accepted
+  const algorithms = [];
+  if (AUTH_JWT_SECRET) algorithms.push('HS256');
+  if (AUTH_JWKS_FILE || AUTH_JWT_PUBLIC_KEY) algorithms.push('RS256');
+  return new Promise((resolve, reject) => {
+    if (algorithms.length === 0) return reject(new Error('JWT authentication is not configured'));
+    jwt.verify(token, resolveJwtKey, {
+      algorithms,
+      issuer: AUTH_JWT_ISSUER || undefined,
+      audience: AUTH_JWT_AUDIENCE || undefined
+    }, (error, payload) => (error ? reject(error) : resolve(payload)));
+  });
+}
+
+function userFromJwtClaims(claims) {
+  const id = claims[AUTH_JWT_USER_CLAIM];
+  if (id === undefined || id === null || id === '') return null;
+  const roles = [].concat(claims[AUTH_JWT_ROLE_CLAIM] || [], claims.roles || []);
+  return { id: String(id), role: roles.includes(AUTH_ADMIN_ROLE) ? 'admin' : 'user', auth_method: 'jwt' };
+}
+
+async function authenticate(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.user = ANONYMOUS_USER;
+    return next();
   }
+  if (PUBLIC_PATHS.includes(req.path) || req.path.startsWith('/shared/')) {
+    return next();
+  }
+
+  const unauthorized = message => {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Unauthorized', message });
+  };
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    const user = authenticateApiKey(apiKey);
+    if (!user) return unauthorized('Invalid API key');
+    req.user = user;
+    return next();
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (!token || scheme.toLowerCase() !== 'bearer') {
+    return unauthorized('An API key or bearer token is required');
+  }
+  try {
+    const user = userFromJwtClaims(await verifyJwt(token));
+    if (!user) return unauthorized(`Token has no ${AUTH_JWT_USER_CLAIM} claim`);
+    req.user = user;
+    next();
+  } catch (error) {
+    console.log(`🔒 Rejected token: ${error.message}`);
+    return unauthorized(`Invalid token: ${error.message}`);
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Forbidden', message: 'This route requires the admin role' });
+  }
+  next();
+}
+
+const isAdmin = user => Boolean(user && user.role === 'admin');
+
+// Mongo filter limiting a query to the caller's documents
+const ownerScope = user => (isAdmin(user) ? {} : { owner_id: user.id });
+
+const canAccess = (user, doc) => Boolean(doc) && (isAdmin(user) || doc.owner_id === user.id);
+
+// The default connection is shared; registered connections belong to whoever created them
+async function getConnectionForUser(connectionId, user) {
+  const connection = await getConnection(connectionId);
+  if (!connection) return null;
+  return connection.id === DEFAULT_CONNECTION_ID || canAccess(user, connection) ? connection : null;
 }
 
 // Add a helper for logging DB connection attempts
@@ -801,7 +5981,7 @@ app.use(cors({
   origin: '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
 }));
 
 // Body parsing
@@ -818,6 +5998,9 @@ if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
   app.use(limiter);
 }
 
+// Authentication (see the Authentication section for the public routes)
+app.use(authenticate);
+
 // Define all routes immediately
 console.log('🔄 Setting up routes...');
 
@@ -831,6 +6014,11 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// The authenticated caller
+app.get('/auth/me', (req, res) => {
+  res.json({ user_id: req.user.id, role: req.user.role, auth_method: req.user.auth_method, auth_enabled: AUTH_ENABLED });
+});
+
 // Test route
 app.get('/test', (req, res) => {
   console.log('[TEST] /test endpoint hit');
@@ -845,224 +6033,564 @@ app.get('/test', (req, res) => {
   });
 });
 
-// Refactor /connect-db to always use getSqlPool (default pool)
+// Database connection routes
 app.post('/connect-db', async (req, res) => {
+  const { errors, config } = validateConnectionConfig(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid connection details',
+      message: errors.join('; '),
+      details: errors
+    });
+  }
+  // A SQLite filename is a path on this server: without SQLITE_ALLOWED_DIR any file could be opened
+  if (config.dialect === 'sqlite' && !SQLITE_ALLOWED_DIR && !isAdmin(req.user)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'SQLite connections require the admin role unless SQLITE_ALLOWED_DIR is configured'
+    });
+  }
+
   try {
-    const sql = getSqlPool();
-    await sql.query('SELECT 1');
-    res.json({ status: 'success', message: 'Database connected successfully' });
+    const connection = await registerConnection(config, req.user.id);
+    res.json({
+      status: 'success',
+      message: 'Database connected successfully',
+      connection_id: connection.id,
+      connection: describeConnection(connection)
+    });
   } catch (error) {
     console.error('[Connect-DB] Error:', error);
-    res.status(500).json({ error: error.message, details: error.stack });
+    res.status(400).json({
+      error: 'Failed to connect to database',
+      message: error.message
+    });
   }
 });
 
-// Refactor /ask to always use getSqlPool (default pool)
-app.post('/ask', async (req, res) => {
+app.get('/connect-db/status', async (req, res) => {
+  const connectionId = req.query.connection_id;
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
+
   try {
-    const { question, session_id } = req.body;
-    if (!question) {
-      return res.status(400).json({ error: 'Missing question', message: 'Question is required' });
-    }
-    const sql = getSqlPool();
+    const startTime = Date.now();
+    await connection.knex.raw('SELECT 1');
+    res.json({
+      connected: true,
+      latency_ms: Date.now() - startTime,
+      connection: describeConnection(connection)
+    });
+  } catch (error) {
+    console.error('[Connect-DB Status] Error:', error);
+    res.json({
+      connected: false,
+      message: error.message,
+      connection: describeConnection(connection)
+    });
+  }
+});
 
-    console.log(`🔍 Processing question: ${question}`);
+app.delete('/connect-db', async (req, res) => {
+  const connectionId = (req.body && req.body.connection_id) || req.query.connection_id;
+  if (!connectionId) {
+    return res.status(400).json({ error: 'Missing connection_id', message: 'connection_id is required' });
+  }
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    return res.status(400).json({ error: 'Invalid connection_id', message: 'The default connection cannot be removed' });
+  }
 
-    // Step 1: Get or create session
-    let currentSessionId = session_id;
-    if (!currentSessionId) {
-      currentSessionId = generateSessionId();
-      console.log(`🔍 Created new session: ${currentSessionId}`);
-    }
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
 
-    // Step 2: Get all tables
-    let allTables;
-    try {
-      allTables = await getAllTables(sql);
-    } catch (err) {
-      console.error('[DB QUERY ERROR] getAllTables', err);
-      return res.status(500).json({
-        error: 'Failed to get tables',
-        message: err.message,
-        details: err.stack,
+  try {
+    const removed = await closeConnection(connectionId);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Connection not found',
+        message: `Connection with id ${connectionId} not found`
       });
     }
+    res.json({ status: 'success', message: 'Database disconnected successfully' });
+  } catch (error) {
+    console.error('[Connect-DB Delete] Error:', error);
+    res.status(500).json({ error: error.message, details: error.stack });
+  }
+});
 
-    // Step 3: Use AI to find relevant tables (with chat history context)
-    let relevantTableNames;
-    try {
-      relevantTableNames = await askAIForRelevantTables(question, allTables, chatHistory);
-    } catch (err) {
-      console.error('[AI ERROR] askAIForRelevantTables', err);
-      return res.status(500).json({
-        error: 'Failed to find relevant tables',
-        message: err.message,
-        details: err.stack,
-      });
-    }
+app.get('/connect-db/policy', async (req, res) => {
+  const connectionId = req.query.connection_id;
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
+  res.json({ connection_id: connection.id, policy: connection.config.policy || null });
+});
 
-    if (!relevantTableNames || relevantTableNames.length === 0) {
-      return res.status(400).json({
-        error: 'No relevant tables found',
-        message: 'No relevant tables found for your question.'
+// Admin-only: policies restrict what a connection's owner can read
+app.put('/connect-db/policy', requireAdmin, async (req, res) => {
+  const connectionId = req.body && req.body.connection_id;
+  if (!connectionId) {
+    return res.status(400).json({ error: 'Missing connection_id', message: 'connection_id is required' });
+  }
+  if (connectionId === DEFAULT_CONNECTION_ID) {
+    return res.status(400).json({ error: 'Invalid connection_id', message: 'The default connection policy is set with POSTGRES_POLICY' });
+  }
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
+  const { errors, policy } = validateConnectionPolicy(req.body.policy);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid policy',
+      message: errors.join('; '),
+      details: errors
+    });
+  }
+
+  try {
+    const mongo = await getMongoClient();
+    const stored = await mongo.db(MONGODB_DB_NAME).collection('db_connections').findOneAndUpdate(
+      { connection_id: connection.id },
+      { $set: { 'config.policy': policy }, $inc: { policy_version: 1 } },
+      { returnDocument: 'after', projection: { policy_version: 1 } }
+    );
+    if (!stored) {
+      return res.status(404).json({
+        error: 'Connection not found',
+        message: `Connection with id ${connection.id} is not stored and its policy cannot be shared across instances`
       });
     }
+    connection.config.policy = policy;
+    connection.policy_version = stored.policy_version;
+    console.log(`🛡️  Updated data access policy of connection ${connection.id} (version ${stored.policy_version})`);
+    res.json({ connection_id: connection.id, policy, policy_version: stored.policy_version });
+  } catch (error) {
+    console.error('[Connect-DB Policy] Error:', error);
+    res.status(500).json({ error: 'Failed to update policy', message: error.message });
+  }
+});
 
-    console.log(`🔍 Relevant tables: ${relevantTableNames}`);
+// Schema routes
+app.get('/schema', async (req, res) => {
+  const connectionId = req.query.connection_id;
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
 
-    // Step 4: Get column information for relevant tables
-    const relevantTables = [];
-    for (const tableName of relevantTableNames) {
-      try {
-        const columns = await getTableColumns(tableName, sql);
-        relevantTables.push({
-          name: tableName,
-          columns: columns
-        });
-      } catch (err) {
-        console.error(`[DB QUERY ERROR] getTableColumns for ${tableName}`, err);
-        return res.status(500).json({
-          error: 'Failed to get table columns',
-          message: err.message,
-          details: err.stack,
-        });
-      }
+  try {
+    const tableNames = await getAllTables(connection);
+    const tables = [];
+    for (const tableName of tableNames) {
+      const table = await getTableSchema(tableName, connection);
+      tables.push({
+        name: tableName,
+        schema: table ? table.schema : null,
+        kind: table ? table.kind : 'table',
+        comment: table ? table.comment : null,
+        column_count: table ? table.columns.length : 0
+      });
     }
+    const snapshot = await getSchemaSnapshot(connection);
+    res.json({
+      connection_id: connection.id,
+      dialect: connection.dialect.name,
+      default_schema: snapshot.default_schema,
+      generated_at: snapshot.generated_at,
+      tables
+    });
+  } catch (error) {
+    console.error('[Schema] Error:', error);
+    res.status(500).json({ error: 'Failed to load schema', message: error.message });
+  }
+});
 
-    // Step 5: Use AI to generate SQL query (with chat history context)
-    let sqlQuery;
-    try {
-      sqlQuery = await askAIForSQL(question, relevantTables, chatHistory);
-    } catch (err) {
-      console.error('[AI ERROR] askAIForSQL', err);
-      return res.status(500).json({
-        error: 'Failed to generate SQL',
-        message: err.message,
-        details: err.stack,
+app.get('/schema/tables/:name', async (req, res) => {
+  const connectionId = req.query.connection_id;
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
+
+  try {
+    const tableNames = await getAllTables(connection);
+    if (!tableNames.includes(req.params.name)) {
+      return res.status(404).json({
+        error: 'Table not found',
+        message: `Table ${req.params.name} not found`
       });
     }
+    const table = await getTableSchema(req.params.name, connection);
+    const columns = await getTableColumns(req.params.name, connection);
+    res.json({
+      ...table,
+      name: req.params.name,
+      columns,
+      row_count_estimate: await estimateTableRowCount(table, connection)
+    });
+  } catch (error) {
+    console.error('[Schema Table] Error:', error);
+    res.status(500).json({ error: 'Failed to load table', message: error.message });
+  }
+});
 
-    console.log(`🔍 Generated SQL: ${sqlQuery}`);
+app.get('/schema/tables/:name/sample', async (req, res) => {
+  const connectionId = req.query.connection_id;
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
 
-    // Step 6: Execute SQL query
-    let results;
-    const startTime = Date.now();
-    try {
-      results = await executeSQLQuery(sqlQuery, sql);
-      console.log(`🔍 Query executed successfully, got ${results.length} results`);
-    } catch (err) {
-      console.error('[DB QUERY ERROR] executeSQLQuery', err);
-      return res.status(500).json({
-        error: 'Failed to execute SQL query',
-        message: err.message,
-        details: err.stack,
+  const limit = req.query.limit === undefined ? SCHEMA_SAMPLE_ROWS : parseInt(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SCHEMA_SAMPLE_MAX_ROWS) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      message: `limit must be an integer between 1 and ${SCHEMA_SAMPLE_MAX_ROWS}`
+    });
+  }
+
+  try {
+    // Only tables from the schema are sampled, so the name can be safely quoted into SQL
+    const tableNames = await getAllTables(connection);
+    if (!tableNames.includes(req.params.name)) {
+      return res.status(404).json({
+        error: 'Table not found',
+        message: `Table ${req.params.name} not found`
       });
     }
-    const executionTime = Date.now() - startTime;
+    const { dialect } = connection;
+    const table = await getTableSchema(req.params.name, connection);
+    const columns = await getTableColumns(req.params.name, connection);
+    const columnList = columns.map(col => dialect.quoteIdentifier(col.name)).join(', ');
+    const sampleSQL = dialect.limitQuery(columnList, quoteTableReference(table, dialect), limit);
+    const { rows } = await auditedExecution({ source: 'table_sample', userId: req.user.id }, sampleSQL, connection, async () => {
+      const sample = await executeSQLQuery(sampleSQL, connection, { maxRows: limit });
+      return { ...sample, row_count: sample.rows.length };
+    });
+    res.json({
+      table: req.params.name,
+      rows,
+      row_count: rows.length,
+      column_summaries: summarizeColumns(columns, rows)
+    });
+  } catch (error) {
+    console.error('[Schema Sample] Error:', error);
+    const status = error instanceof SQLGuardError ? (error.code === 'statement_timeout' ? 504 : 422) : 500;
+    res.status(status).json({ error: 'Failed to sample table', message: error.message });
+  }
+});
 
-    // Step 7: Check for chart request and generate chart data
-    const chartRequest = detectChartRequest(question);
-    let chartData = null;
-    
-    if (chartRequest.requested && results.length > 0) {
-      chartData = generateChartData(results, chartRequest.type);
-      if (chartData) {
-        console.log(`🔍 Generated ${chartRequest.type} chart`);
-      } else {
-        console.log(`❌ Could not generate ${chartRequest.type} chart from results`);
-      }
-    }
+app.post('/schema/refresh', async (req, res) => {
+  const connectionId = (req.body && req.body.connection_id) || req.query.connection_id;
+  const connection = await getConnectionForUser(connectionId, req.user);
+  if (!connection) {
+    return res.status(404).json({
+      error: 'Connection not found',
+      message: `Connection with id ${connectionId} not found`
+    });
+  }
 
-    // Step 8: Generate natural language answer
-    let naturalAnswer;
-    try {
-      naturalAnswer = await generateNaturalLanguageAnswer(question, sqlQuery, results, relevantTableNames, chatHistory);
-      console.log(`🔍 Generated natural language answer`);
-    } catch (err) {
-      console.error('[AI ERROR] generateNaturalLanguageAnswer', err);
-      return res.status(500).json({
-        error: 'Failed to generate natural language answer',
-        message: err.message,
-        details: err.stack,
+  try {
+    await invalidateSchemaSnapshot(connection.id);
+    const snapshot = await getSchemaSnapshot(connection, { refresh: true });
+    res.json({
+      status: 'success',
+      connection_id: connection.id,
+      table_count: snapshot.tables.length,
+      generated_at: snapshot.generated_at
+    });
+  } catch (error) {
+    console.error('[Schema Refresh] Error:', error);
+    res.status(500).json({ error: 'Failed to refresh schema', message: error.message });
+  }
+});
+
+app.post('/ask', async (req, res) => {
+  if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+    return streamAsk(req, res);
+  }
+  const { status, body } = await runAskPipeline(req.body, req.user);
+  res.status(status).json(body);
+});
+
+app.post('/ask/stream', (req, res) => streamAsk(req, res));
+
+// Result routes
+app.get('/results/:result_id/export', async (req, res) => {
+  try {
+    const record = await getQueryResult(req.params.result_id);
+    if (!canAccess(req.user, record)) {
+      return res.status(404).json({
+        error: 'Result not found',
+        message: `Result with id ${req.params.result_id} not found`
       });
     }
+    await sendResultExport(record, req, res);
+  } catch (error) {
+    console.error('[Export] Error:', error);
+    res.status(500).json({ error: 'Failed to export result', message: error.message });
+  }
+});
 
-    // Step 9: Store in chat history (in-memory)
-    const chatEntry = {
-      id: chatHistory.length + 1,
-      timestamp: new Date().toISOString(),
-      question: question,
-      sql: sqlQuery,
-      results: results,
-      tables_used: relevantTableNames,
-      result_count: results.length,
-      answer: naturalAnswer,
-      chart_data: chartData
-    };
-    chatHistory.push(chatEntry);
+app.get('/results/:result_id', async (req, res) => {
+  const record = await getQueryResult(req.params.result_id);
+  if (!canAccess(req.user, record)) {
+    return res.status(404).json({
+      error: 'Result not found',
+      message: `Result with id ${req.params.result_id} not found`
+    });
+  }
 
-    // Step 10: Save to MongoDB session
-    const messageData = {
-      message_id: chatHistory.length,
-      timestamp: new Date(),
-      type: 'user_question',
-      question: question,
-      sql_query: sqlQuery,
-      tables_used: relevantTableNames,
-      result_count: results.length,
-      result_sample: results.slice(0, 5), // Store sample results
-      natural_answer: naturalAnswer,
-      execution_time_ms: executionTime,
-      is_followup_question: chatHistory.length > 1,
-      chart_data: chartData
-    };
+  const pageSize = req.query.page_size === undefined ? RESULT_PAGE_SIZE : parseInt(req.query.page_size);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > RESULT_MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: 'Invalid page_size',
+      message: `page_size must be an integer between 1 and ${RESULT_MAX_PAGE_SIZE}`
+    });
+  }
+  const offset = decodeResultCursor(req.query.cursor);
+  if (offset === null) {
+    return res.status(400).json({ error: 'Invalid cursor', message: 'cursor is not a valid result cursor' });
+  }
 
-    try {
-      await saveChatSession({
-        session_id: currentSessionId,
-        message: messageData
-      });
-      console.log(`💾 Saved message to session ${currentSessionId}`);
-    } catch (err) {
-      console.error('Error saving to MongoDB:', err);
-      // Don't fail the request if MongoDB save fails
-    }
+  const connection = await getConnection(record.connection_id);
+  if (!connection) {
+    return res.status(410).json({
+      error: 'Connection not found',
+      message: `Connection ${record.connection_id} used by this result no longer exists`
+    });
+  }
 
-    // Step 11: Prepare response
-    const resultSample = results.slice(0, 5);
+  try {
+    const page = await auditedExecution({
+      source: 'result_page',
+      userId: req.user.id,
+      question: record.question,
+      sessionId: record.session_id,
+      messageId: record.message_id,
+      resultId: record.result_id
+    }, record.sql, connection, async () => {
+      const fetched = await fetchResultPage(record, connection, { offset, pageSize });
+      return { ...fetched, row_count: fetched.rows.length, truncated: fetched.has_more };
+    });
+    res.json({
+      result_id: record.result_id,
+      sql: record.sql,
+      session_id: record.session_id,
+      columns: page.rows.length > 0 ? Object.keys(page.rows[0]) : [],
+      rows: page.rows,
+      page_size: pageSize,
+      offset,
+      total_count: page.total_count,
+      has_more: page.has_more,
+      next_cursor: page.next_cursor
+    });
+  } catch (error) {
+    console.error('[Results] Error:', error);
+    const status = error instanceof SQLGuardError ? (error.code === 'statement_timeout' ? 504 : 422) : 500;
+    res.status(status).json({ error: 'Failed to fetch result page', message: error.message });
+  }
+});
 
-    const response = {
-      answer: naturalAnswer,
-      sql: sqlQuery,
-      results: resultSample,
-      tables_used: relevantTableNames,
-      chat_id: chatEntry.id,
-      session_id: currentSessionId,
-      execution_time_ms: executionTime,
-      chart_data: chartData
-    };
+// Chart of the full result as SVG; `type` defaults to the chart the question asked for
+app.get('/results/:result_id/chart.svg', async (req, res) => {
+  const record = await getQueryResult(req.params.result_id);
+  if (!canAccess(req.user, record)) {
+    return res.status(404).json({
+      error: 'Result not found',
+      message: `Result with id ${req.params.result_id} not found`
+    });
+  }
 
-    console.log(`✅ Request completed in ${executionTime}ms`);
-    res.json(response);
+  const chartType = req.query.type || detectChartRequest(record.question || '').type || 'bar';
+  if (!CHART_TYPES.includes(chartType)) {
+    return res.status(400).json({
+      error: 'Invalid chart type',
+      message: `type must be one of: ${CHART_TYPES.join(', ')}`
+    });
+  }
+  const width = req.query.width === undefined ? 720 : parseInt(req.query.width);
+  const height = req.query.height === undefined ? 400 : parseInt(req.query.height);
+  if (!Number.isInteger(width) || width < 200 || width > 2000 || !Number.isInteger(height) || height < 150 || height > 1500) {
+    return res.status(400).json({
+      error: 'Invalid size',
+      message: 'width must be between 200 and 2000 and height between 150 and 1500'
+    });
+  }
+
+  const connection = await getConnection(record.connection_id);
+  if (!connection) {
+    return res.status(410).json({
+      error: 'Connection not found',
+      message: `Connection ${record.connection_id} used by this result no longer exists`
+    });
+  }
+
+  try {
+    // Same row cap as the chart /ask built from this result
+    const { rows } = await auditedExecution({
+      source: 'result_chart',
+      userId: req.user.id,
+      question: record.question,
+      sessionId: record.session_id,
+      messageId: record.message_id,
+      resultId: record.result_id
+    }, record.sql, connection, async () => {
+      const page = await readResultRows(record, connection, { offset: 0, limit: SQL_MAX_ROWS });
+      return { ...page, row_count: page.rows.length, truncated: page.has_more };
+    });
+    const chartData = generateChartData(rows, chartType, {
+      title: req.query.title,
+      x: req.query.x,
+      y: req.query.y,
+      series: req.query.series
+    });
+    const svg = renderChartSVG(chartData, { width, height });
+    if (!svg) {
+      return res.status(422).json({
+        error: 'Chart not available',
+        message: `A ${chartType} chart cannot be built from the columns of this result`
+      });
+    }
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.send(svg);
+  } catch (error) {
+    console.error('[Results] Chart error:', error);
+    const status = error instanceof SQLGuardError ? (error.code === 'statement_timeout' ? 504 : 422) : 500;
+    res.status(status).json({ error: 'Failed to render chart', message: error.message });
+  }
+});
+
+// Audit routes
+app.get('/audit', async (req, res) => {
+  const limit = req.query.limit === undefined ? AUDIT_PAGE_SIZE : parseInt(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      message: `limit must be an integer between 1 and ${AUDIT_MAX_PAGE_SIZE}`
+    });
+  }
+  const { errors, filter } = buildAuditFilter(req.query, req.user);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid audit filter',
+      message: errors.join('; '),
+      details: errors
+    });
+  }
 
+  try {
+    const collection = await getAuditLogCollection();
+    const entries = await collection
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ at: -1, audit_id: -1 })
+      .limit(limit + 1)
+      .toArray();
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+    res.json({
+      entries: page,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeAuditCursor(page[page.length - 1]) : null
+    });
   } catch (error) {
-    console.error('[Ask] Error:', error);
-    res.status(500).json({ error: error.message, details: error.stack });
-  } finally {
-    // No need to close sql here, getSqlPool manages its own pool
+    console.error('Error searching audit log:', error);
+    res.status(500).json({
+      error: 'Failed to search audit log',
+      message: error.message
+    });
   }
 });
 
 // Chat history routes
-app.get('/chat-history', (req, res) => {
-  res.json({
-    history: chatHistory
-  });
+app.get('/chat-history', async (req, res) => {
+  const { session_id } = req.query;
+  if (!session_id) {
+    return res.status(400).json({ error: 'Missing session_id', message: 'session_id is required' });
+  }
+
+  try {
+    const session = await getChatSession(session_id);
+    if (!canAccess(req.user, session)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session with id ${session_id} not found`
+      });
+    }
+    res.json({
+      session_id,
+      history: sessionMessagesToChatHistory(session.messages)
+    });
+  } catch (error) {
+    console.error('Error fetching chat history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch chat history',
+      message: error.message
+    });
+  }
 });
 
-app.delete('/chat-history', (req, res) => {
-  chatHistory = [];
-  res.json({ message: 'Chat history cleared' });
+app.delete('/chat-history', async (req, res) => {
+  const session_id = (req.body && req.body.session_id) || req.query.session_id;
+  if (!session_id) {
+    return res.status(400).json({ error: 'Missing session_id', message: 'session_id is required' });
+  }
+
+  try {
+    const mongo = await getMongoClient();
+    const db = mongo.db(MONGODB_DB_NAME);
+    const result = await db.collection('chat_sessions').updateOne(
+      { session_id, ...ownerScope(req.user) },
+      {
+        $set: {
+          messages: [],
+          message_count: 0,
+          last_activity: new Date(),
+          metadata: sessionAggregates([])
+        }
+      }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session with id ${session_id} not found`
+      });
+    }
+    res.json({ message: 'Chat history cleared', session_id });
+  } catch (error) {
+    console.error('Error clearing chat history:', error);
+    res.status(500).json({
+      error: 'Failed to clear chat history',
+      message: error.message
+    });
+  }
 });
 
 // Reports routes
@@ -1070,14 +6598,8 @@ app.get('/reports', async (req, res) => {
   try {
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
-    const reports = await db.collection('reports').find({}).sort({ created_at: -1 }).toArray();
-    const formattedReports = reports.map(report => ({
-      ...report,
-      _id: report._id.toString(),
-      created_at: report.created_at.toISOString(),
-      updated_at: report.updated_at.toISOString()
-    }));
-    res.json(formattedReports);
+    const reports = await db.collection('reports').find(ownerScope(req.user)).sort({ created_at: -1 }).toArray();
+    res.json(reports.map(formatReport));
   } catch (error) {
     console.error('Error fetching reports:', error);
     res.status(500).json({
@@ -1089,18 +6611,26 @@ app.get('/reports', async (req, res) => {
 
 app.post('/reports', async (req, res) => {
   try {
-    const report = req.body;
+    const { errors, report } = await validateReport(req.body, null, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid report',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+    report.id = uuidv4();
+    report.owner_id = req.user.id;
     report.created_at = new Date();
     report.updated_at = new Date();
+    report.refreshed_at = null;
+    report.next_run_at = report.schedule ? nextScheduledRun(report.schedule) : null;
     
-    const mongo = await getMongoClient();
-    const db = mongo.db(MONGODB_DB_NAME);
-    const result = await db.collection('reports').insertOne(report);
-    report._id = result.insertedId.toString();
-    report.created_at = report.created_at.toISOString();
-    report.updated_at = report.updated_at.toISOString();
+    const reports = await getReportsCollection();
+    const result = await reports.insertOne(report);
+    report._id = result.insertedId;
     
-    res.status(201).json(report);
+    res.status(201).json(formatReport(report));
   } catch (error) {
     console.error('Error creating report:', error);
     res.status(500).json({
@@ -1115,7 +6645,7 @@ app.get('/reports/:id', async (req, res) => {
     const { id } = req.params;
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
-    const report = await db.collection('reports').findOne({ id });
+    const report = await db.collection('reports').findOne({ id, ...ownerScope(req.user) });
     
     if (!report) {
       return res.status(404).json({
@@ -1124,11 +6654,7 @@ app.get('/reports/:id', async (req, res) => {
       });
     }
     
-    report._id = report._id.toString();
-    report.created_at = report.created_at.toISOString();
-    report.updated_at = report.updated_at.toISOString();
-    
-    res.json(report);
+    res.json(formatReport(report));
   } catch (error) {
     console.error('Error fetching report:', error);
     res.status(500).json({
@@ -1141,22 +6667,29 @@ app.get('/reports/:id', async (req, res) => {
 app.put('/reports/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-    updateData.updated_at = new Date();
-    
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
-    const result = await db.collection('reports').updateOne(
-      { id },
-      { $set: updateData }
-    );
-    
-    if (result.matchedCount === 0) {
+    const existing = await db.collection('reports').findOne({ id, ...ownerScope(req.user) });
+    if (!existing) {
       return res.status(404).json({
         error: 'Report not found',
         message: `Report with id ${id} not found`
       });
     }
+
+    const { errors, report: updateData } = await validateReport(req.body, existing, req.user);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid report',
+        message: errors.join('; '),
+        details: errors
+      });
+    }
+    updateData.updated_at = new Date();
+    if (updateData.schedule !== undefined) {
+      updateData.next_run_at = updateData.schedule ? nextScheduledRun(updateData.schedule) : null;
+    }
+    await db.collection('reports').updateOne({ id, owner_id: existing.owner_id ?? null }, { $set: updateData });
     
     res.json({ message: 'Report updated successfully' });
   } catch (error) {
@@ -1168,12 +6701,160 @@ app.put('/reports/:id', async (req, res) => {
   }
 });
 
+app.post('/reports/:id/refresh', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const mongo = await getMongoClient();
+    const report = await mongo.db(MONGODB_DB_NAME).collection('reports').findOne({ id, ...ownerScope(req.user) });
+    if (!report) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: `Report with id ${id} not found`
+      });
+    }
+
+    const { report: refreshed, snapshot } = await runReport(report, 'manual', req.user.id);
+    console.log(`📊 Refreshed report ${id} (${snapshot.status})`);
+    res.json(formatReport(refreshed));
+  } catch (error) {
+    console.error('Error refreshing report:', error);
+    res.status(500).json({
+      error: 'Failed to refresh report',
+      message: error.message
+    });
+  }
+});
+
+app.post('/reports/:id/share', async (req, res) => {
+  const { errors, options } = validateShareOptions(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid share options',
+      message: errors.join('; '),
+      details: errors
+    });
+  }
+
+  try {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const share = { token, created_at: new Date(), ...options };
+    const shareUrl = shareUrlFor(req, token);
+
+    const mongo = await getMongoClient();
+    const reports = mongo.db(MONGODB_DB_NAME).collection('reports');
+    await reports.createIndex({ 'share.token': 1 }, { unique: true, sparse: true });
+    const result = await reports.updateOne(
+      { id: req.params.id, ...ownerScope(req.user) },
+      { $set: { share, is_public: true, share_url: shareUrl } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: `Report with id ${req.params.id} not found`
+      });
+    }
+
+    console.log(`🔗 Shared report ${req.params.id}`);
+    res.status(201).json({
+      report_id: req.params.id,
+      token,
+      share_url: shareUrl,
+      expires_at: share.expires_at ? share.expires_at.toISOString() : null,
+      include_sql: share.include_sql
+    });
+  } catch (error) {
+    console.error('Error sharing report:', error);
+    res.status(500).json({
+      error: 'Failed to share report',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/reports/:id/share', async (req, res) => {
+  try {
+    const mongo = await getMongoClient();
+    const result = await mongo.db(MONGODB_DB_NAME).collection('reports').updateOne(
+      { id: req.params.id, ...ownerScope(req.user) },
+      { $set: { is_public: false, share_url: null }, $unset: { share: '' } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: `Report with id ${req.params.id} not found`
+      });
+    }
+    console.log(`🔗 Revoked share link of report ${req.params.id}`);
+    res.json({ message: 'Share link revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking report share:', error);
+    res.status(500).json({
+      error: 'Failed to revoke share link',
+      message: error.message
+    });
+  }
+});
+
+app.get('/reports/:id/snapshots', async (req, res) => {
+  try {
+    if (!(await findReportForUser(req.params.id, req.user))) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: `Report with id ${req.params.id} not found`
+      });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const snapshots = await getReportSnapshotsCollection();
+    const list = await snapshots
+      .find({ report_id: req.params.id }, { projection: { _id: 0, items: 0 } })
+      .sort({ run_at: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ report_id: req.params.id, snapshots: list });
+  } catch (error) {
+    console.error('Error fetching report snapshots:', error);
+    res.status(500).json({
+      error: 'Failed to fetch report snapshots',
+      message: error.message
+    });
+  }
+});
+
+app.get('/reports/:id/snapshots/:snapshot_id', async (req, res) => {
+  try {
+    if (!(await findReportForUser(req.params.id, req.user))) {
+      return res.status(404).json({
+        error: 'Report not found',
+        message: `Report with id ${req.params.id} not found`
+      });
+    }
+    const snapshots = await getReportSnapshotsCollection();
+    const snapshot = await snapshots.findOne(
+      { report_id: req.params.id, snapshot_id: req.params.snapshot_id },
+      { projection: { _id: 0 } }
+    );
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Snapshot not found',
+        message: `Snapshot with id ${req.params.snapshot_id} not found`
+      });
+    }
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Error fetching report snapshot:', error);
+    res.status(500).json({
+      error: 'Failed to fetch report snapshot',
+      message: error.message
+    });
+  }
+});
+
 app.delete('/reports/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
-    const result = await db.collection('reports').deleteOne({ id });
+    const result = await db.collection('reports').deleteOne({ id, ...ownerScope(req.user) });
     
     if (result.deletedCount === 0) {
       return res.status(404).json({
@@ -1192,6 +6873,34 @@ app.delete('/reports/:id', async (req, res) => {
   }
 });
 
+// Shared (read-only, unauthenticated) routes
+app.get('/shared/reports/:token', async (req, res) => {
+  try {
+    const mongo = await getMongoClient();
+    const report = await mongo.db(MONGODB_DB_NAME).collection('reports').findOne({ 'share.token': req.params.token });
+    if (!report || !report.is_public) {
+      return res.status(404).json({
+        error: 'Shared report not found',
+        message: 'This link is invalid or has been revoked'
+      });
+    }
+    if (report.share.expires_at && report.share.expires_at <= new Date()) {
+      return res.status(410).json({
+        error: 'Share link expired',
+        message: 'This link has expired'
+      });
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.json(renderSharedReport(report));
+  } catch (error) {
+    console.error('Error fetching shared report:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shared report',
+      message: error.message
+    });
+  }
+});
+
 // Sessions routes
 app.get('/sessions', async (req, res) => {
   try {
@@ -1200,7 +6909,7 @@ app.get('/sessions', async (req, res) => {
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
     const sessions = await db.collection('chat_sessions')
-      .find({})
+      .find(ownerScope(req.user))
       .sort({ last_activity: -1 })
       .limit(limit)
       .toArray();
@@ -1224,6 +6933,7 @@ app.get('/sessions', async (req, res) => {
       
       return {
         session_id: session.session_id,
+        owner_id: session.owner_id || null,
         created_at: created_at,
         last_activity: last_activity,
         database_connection: session.database_connection,
@@ -1255,7 +6965,7 @@ app.get('/sessions/:session_id', async (req, res) => {
     
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
-    const session = await db.collection('chat_sessions').findOne({ session_id });
+    const session = await db.collection('chat_sessions').findOne({ session_id, ...ownerScope(req.user) });
     
     if (!session) {
       return res.status(404).json({
@@ -1289,13 +6999,38 @@ app.get('/sessions/:session_id', async (req, res) => {
   }
 });
 
+// Export the result of one chat entry (message_id as returned in chat_id by /ask)
+app.get('/sessions/:session_id/messages/:message_id/export', async (req, res) => {
+  try {
+    const session = await getChatSession(req.params.session_id);
+    if (!canAccess(req.user, session)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session with id ${req.params.session_id} not found`
+      });
+    }
+    const message = (session.messages || []).find(entry => String(entry.message_id) === req.params.message_id);
+    const record = message && message.result_id ? await getQueryResult(message.result_id) : null;
+    if (!record) {
+      return res.status(404).json({
+        error: 'Result not found',
+        message: `Message ${req.params.message_id} has no stored result`
+      });
+    }
+    await sendResultExport(record, req, res);
+  } catch (error) {
+    console.error('[Export] Error:', error);
+    res.status(500).json({ error: 'Failed to export result', message: error.message });
+  }
+});
+
 app.delete('/sessions/:session_id', async (req, res) => {
   try {
     const { session_id } = req.params;
     
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
-    const result = await db.collection('chat_sessions').deleteOne({ session_id });
+    const result = await db.collection('chat_sessions').deleteOne({ session_id, ...ownerScope(req.user) });
 
     if (result.deletedCount === 0) {
       return res.status(404).json({
@@ -1323,7 +7058,7 @@ app.post('/sessions/:session_id/restore', async (req, res) => {
     
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
-    const session = await db.collection('chat_sessions').findOne({ session_id });
+    const session = await db.collection('chat_sessions').findOne({ session_id, ...ownerScope(req.user) });
     
     if (!session) {
       return res.status(404).json({
@@ -1333,27 +7068,7 @@ app.post('/sessions/:session_id/restore', async (req, res) => {
     }
 
     // Convert session messages back to chat history format
-    chatHistory = [];
-    for (const message of session.messages) {
-      // Convert datetime to ISO string for frontend
-      let timestamp = message.timestamp;
-      if (timestamp instanceof Date) {
-        timestamp = timestamp.toISOString();
-      }
-      
-      const chatEntry = {
-        id: message.message_id,
-        timestamp: timestamp,
-        question: message.question,
-        sql: message.sql_query,
-        results: message.result_sample, // Note: we only stored sample results
-        tables_used: message.tables_used,
-        result_count: message.result_count,
-        answer: message.natural_answer,
-        chart_data: message.chart_data // Add chart_data if present
-      };
-      chatHistory.push(chatEntry);
-    }
+    const chatHistory = sessionMessagesToChatHistory(session.messages);
 
     // Update last activity
     await db.collection('chat_sessions').updateOne(
@@ -1397,7 +7112,7 @@ app.post('/sessions/:session_id/restore', async (req, res) => {
 });
 
 // Test MongoDB connection endpoint
-app.get('/test-mongo', async (req, res) => {
+app.get('/test-mongo', requireAdmin, async (req, res) => {
   try {
     const mongo = await getMongoClient();
     const db = mongo.db(MONGODB_DB_NAME);
@@ -1414,10 +7129,10 @@ app.get('/test-mongo', async (req, res) => {
 });
 
 // Test PostgreSQL connection endpoint
-app.get('/test-postgres', async (req, res) => {
+app.get('/test-postgres', requireAdmin, async (req, res) => {
   try {
-    const sql = getSqlPool();
-    const result = await sql.query('SELECT version();');
+    const sql = getDefaultKnex();
+    const result = await sql.raw('SELECT version();');
     res.json({ 
       message: 'PostgreSQL connection successful!',
       version: result.rows[0].version,
@@ -1456,7 +7171,16 @@ app.use('*', (req, res) => {
 // Lambda handler export using aws-serverless-express
 const server = awsServerlessExpress.createServer(app);
 export const handler = (event, context) => awsServerlessExpress.proxy(server, event, context);
-export { app };
+export { app, runDueReports };
+// Exposed for the test suite
+export {
+  analyzeSQLReferences, enforceSQLPolicy, applyRowPolicy, validateConnectionPolicy, createKnexForConfig, resolveDialect,
+  checkWebhookURL, sealConnectionConfig, openConnectionConfig, validateConnectionConfig, registerConnection, closeConnection,
+  validateReport, checkLLMOptions, buildAuditFilter, stemToken, tokenizeForRetrieval, buildTableIndex, rankTables, retrieveTablesLocally, encodeResultCursor, decodeResultCursor, inferColumnTypes, escapeCSVField, exportFilename, writeChunk,
+  streamResultExport, guardSQLStatement, describeOuterSelect, readResultRows, summarizeResults, formatInsightsDigest, selectAnswerRows,
+  parseApiKeys, authenticate, requireAdmin, ownerScope, canAccess, inferColumnRoles, inferChartEncoding, buildChartSpec,
+  toChartJsConfig, toVegaLiteSpec, generateChartData, renderChartSVG
+};
 
 // Only start the server locally if not running in Lambda
 if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
@@ -1468,7 +7192,7 @@ if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
       process.exit(1);
     }
     // 2. Initialize PostgreSQL
-    const postgresConnected = await getSqlPool();
+    const postgresConnected = await getDefaultKnex();
     if (!postgresConnected) {
       console.log('⚠️  PostgreSQL not connected - will use dynamic connections');
     } else {
@@ -1479,5 +7203,9 @@ if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
     });
+    // 4. Run scheduled reports in-process (Lambda deployments use the reportScheduler function)
+    if (REPORT_SCHEDULER_ENABLED) {
+      startReportScheduler();
+    }
   })();
 } 
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { buildAuditFilter } = await import('../server.js');
+
+const admin = { id: 'root', role: 'admin' };
+const user = { id: 'bob', role: 'user' };
+
+test('users only see their own audit entries', () => {
+  assert.deepEqual(buildAuditFilter({ user_id: 'alice' }, user).filter, { user_id: 'bob' });
+  assert.deepEqual(buildAuditFilter({ user_id: 'alice' }, admin).filter, { user_id: 'alice' });
+});
+
+test('filters only pass plain values to Mongo', () => {
+  const { errors } = buildAuditFilter({ user_id: { $ne: 'x' } }, admin);
+  assert.deepEqual(errors, ['user_id must be a string']);
+  assert.deepEqual(buildAuditFilter({ status: { $ne: 'x' } }, admin).errors, ['status must be one of: success, blocked, error']);
+  assert.deepEqual(buildAuditFilter({ connection_id: ['a', 'b'] }, admin).filter, { connection_id: 'a,b' });
+});
+
+test('dates, durations and tables are parsed', () => {
+  const { errors, filter } = buildAuditFilter({ from: '2024-01-01', table: 'Orders', min_duration_ms: '250' }, admin);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filter, { at: { $gte: new Date('2024-01-01') }, tables: 'orders', duration_ms: { $gte: 250 } });
+  assert.deepEqual(buildAuditFilter({ to: 'yesterday', cursor: 'nope' }, admin).errors, ['to must be an ISO date', 'cursor is not a valid audit cursor']);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+process.env.AUTH_API_KEYS = JSON.stringify([
+  { key: 'alice-key', user_id: 'alice' },
+  { key_sha256: crypto.createHash('sha256').update('root-key').digest('hex'), user_id: 'root', role: 'admin' }
+]);
+process.env.AUTH_JWT_SECRET = 'test-secret';
+const { parseApiKeys, authenticate, requireAdmin, ownerScope, canAccess } = await import('../server.js');
+
+// Run a middleware against a minimal request; resolves to the user it set or the error response
+function run(middleware, { path = '/sessions', headers = {}, user } = {}) {
+  return new Promise(resolve => {
+    const req = { path, user, get: name => headers[name.toLowerCase()] };
+    const res = {
+      set() { return res; },
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      }
+    };
+    middleware(req, res, () => resolve({ user: req.user }));
+  });
+}
+
+test('parseApiKeys accepts plain and hashed keys and skips incomplete entries', () => {
+  const keys = parseApiKeys(JSON.stringify([
+    { key: 'k1', user_id: 7 },
+    { key_sha256: 'AB'.repeat(32), user_id: 'ops', role: 'admin' },
+    { key: 'no-user' }
+  ]));
+  assert.equal(keys.length, 2);
+  assert.deepEqual(keys[0].user, { id: '7', role: 'user', auth_method: 'api_key' });
+  assert.equal(keys[1].user.role, 'admin');
+  assert.equal(keys[1].digest.toString('hex'), 'ab'.repeat(32));
+  assert.deepEqual(parseApiKeys('not json'), []);
+  assert.deepEqual(parseApiKeys('{}'), []);
+});
+
+test('authenticate accepts configured API keys', async () => {
+  assert.deepEqual((await run(authenticate, { headers: { 'x-api-key': 'alice-key' } })).user,
+    { id: 'alice', role: 'user', auth_method: 'api_key' });
+  assert.equal((await run(authenticate, { headers: { 'x-api-key': 'root-key' } })).user.role, 'admin');
+  const rejected = await run(authenticate, { headers: { 'x-api-key': 'wrong' } });
+  assert.equal(rejected.status, 401);
+  assert.equal(rejected.body.message, 'Invalid API key');
+});
+
+test('authenticate verifies bearer tokens', async () => {
+  const token = jwt.sign({ sub: 'bob', role: 'admin' }, 'test-secret');
+  assert.deepEqual((await run(authenticate, { headers: { authorization: `Bearer ${token}` } })).user,
+    { id: 'bob', role: 'admin', auth_method: 'jwt' });
+
+  const forged = jwt.sign({ sub: 'bob' }, 'other-secret');
+  assert.equal((await run(authenticate, { headers: { authorization: `Bearer ${forged}` } })).status, 401);
+  const noSubject = jwt.sign({ role: 'user' }, 'test-secret');
+  assert.equal((await run(authenticate, { headers: { authorization: `Bearer ${noSubject}` } })).body.message, 'Token has no sub claim');
+  assert.equal((await run(authenticate)).status, 401);
+  // Public paths need no credentials
+  assert.deepEqual(await run(authenticate, { path: '/health' }), { user: undefined });
+});
+
+test('requireAdmin only lets admins through', async () => {
+  assert.equal((await run(requireAdmin, { user: { id: 'alice', role: 'user' } })).status, 403);
+  assert.deepEqual((await run(requireAdmin, { user: { id: 'root', role: 'admin' } })).user, { id: 'root', role: 'admin' });
+});
+
+test('ownerScope and canAccess limit users to their own documents', () => {
+  const alice = { id: 'alice', role: 'user' };
+  const admin = { id: 'root', role: 'admin' };
+  assert.deepEqual(ownerScope(alice), { owner_id: 'alice' });
+  assert.deepEqual(ownerScope(admin), {});
+  assert.equal(canAccess(alice, { owner_id: 'alice' }), true);
+  assert.equal(canAccess(alice, { owner_id: 'bob' }), false);
+  assert.equal(canAccess(admin, { owner_id: 'bob' }), true);
+  assert.equal(canAccess(admin, null), false);
+});
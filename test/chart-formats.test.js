@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { buildChartSpec, toChartJsConfig, toVegaLiteSpec, generateChartData } = await import('../server.js');
+
+const regionalRevenue = [
+  { month: '2024-01', region: 'North', revenue: 100 },
+  { month: '2024-01', region: 'South', revenue: 50 },
+  { month: '2024-02', region: 'North', revenue: 130 }
+];
+
+test('toChartJsConfig keeps labels and datasets of the spec', () => {
+  const config = toChartJsConfig(buildChartSpec(regionalRevenue, 'line'));
+  assert.equal(config.type, 'line');
+  assert.deepEqual(config.data.labels, ['2024-01', '2024-02']);
+  assert.deepEqual(config.data.datasets.map(dataset => [dataset.label, dataset.data]), [['North', [100, 130]], ['South', [50, null]]]);
+  assert.equal(config.data.datasets[0].spanGaps, true);
+  assert.equal(config.options.plugins.title.text, 'revenue over month by region');
+  assert.equal(config.options.scales.x.title.text, 'month');
+
+  const stacked = toChartJsConfig(buildChartSpec(regionalRevenue, 'stacked_bar'));
+  assert.equal(stacked.type, 'bar');
+  assert.equal(stacked.options.scales.y.stacked, true);
+
+  const pie = toChartJsConfig(buildChartSpec(regionalRevenue, 'pie', { x: 'region' }));
+  assert.deepEqual(pie.data.labels, ['North', 'South']);
+  assert.deepEqual(pie.data.datasets[0].data, [230, 50]);
+  assert.equal(pie.data.datasets[0].backgroundColor.length, 2);
+});
+
+test('toVegaLiteSpec inlines the data in long form', () => {
+  const spec = toVegaLiteSpec(buildChartSpec(regionalRevenue, 'line'));
+  assert.match(spec.$schema, /vega-lite\/v5/);
+  assert.deepEqual(spec.mark, { type: 'line', point: true });
+  assert.deepEqual(spec.data.values, [
+    { month: '2024-01', region: 'North', revenue: 100 },
+    { month: '2024-01', region: 'South', revenue: 50 },
+    { month: '2024-02', region: 'North', revenue: 130 },
+    { month: '2024-02', region: 'South', revenue: null }
+  ]);
+  assert.equal(spec.encoding.x.type, 'temporal');
+  assert.deepEqual(spec.encoding.color.scale.domain, ['North', 'South']);
+
+  const grouped = toVegaLiteSpec(buildChartSpec(regionalRevenue, 'bar'));
+  assert.equal(grouped.encoding.x.type, 'ordinal');
+  assert.equal(grouped.encoding.y.stack, null);
+  assert.equal(grouped.encoding.xOffset.field, 'region');
+
+  const histogram = toVegaLiteSpec(buildChartSpec(Array.from({ length: 10 }, (_, index) => ({ amount: index })), 'histogram'));
+  assert.deepEqual(histogram.encoding.x.bin, { binned: true });
+  assert.equal(histogram.data.values.reduce((total, bin) => total + bin.count, 0), 10);
+});
+
+test('toVegaLiteSpec escapes field names Vega-Lite would read as paths', () => {
+  const spec = toVegaLiteSpec(buildChartSpec([{ 'a.b': 'x', total: 1 }, { 'a.b': 'y', total: 2 }], 'bar'));
+  assert.equal(spec.encoding.x.field, 'a\\.b');
+  assert.deepEqual(spec.data.values[0], { 'a.b': 'x', total: 1 });
+});
+
+test('generateChartData picks the output format', () => {
+  assert.equal(generateChartData(regionalRevenue, 'bar').type, 'bar');
+  assert.ok(generateChartData(regionalRevenue, 'bar', { format: 'vega-lite' }).$schema);
+  assert.equal(generateChartData(regionalRevenue, 'bar', { title: 'Revenue' }).options.plugins.title.text, 'Revenue');
+  assert.equal(generateChartData([], 'bar'), null);
+});
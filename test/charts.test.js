@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { inferColumnRoles, inferChartEncoding, buildChartSpec } = await import('../server.js');
+
+const regionalRevenue = [
+  { month: '2024-01', region: 'North', revenue: '100.5' },
+  { month: '2024-01', region: 'South', revenue: 50 },
+  { month: '2024-02', region: 'North', revenue: 120 },
+  { month: '2024-02', region: 'North', revenue: 10 }
+];
+
+test('inferColumnRoles tells time, measures and dimensions apart', () => {
+  assert.deepEqual(inferColumnRoles([{ customer_id: 1, year: 2023, amount: '5.25', created_at: new Date('2024-01-01'), name: 'Ann' }]), [
+    { name: 'customer_id', role: 'dimension' },
+    { name: 'year', role: 'temporal' },
+    { name: 'amount', role: 'measure' },
+    { name: 'created_at', role: 'temporal' },
+    { name: 'name', role: 'dimension' }
+  ]);
+  assert.deepEqual(inferColumnRoles([{ note: null }]), [{ name: 'note', role: 'dimension' }]);
+});
+
+test('inferChartEncoding picks axes from roles and honours overrides', () => {
+  const columns = inferColumnRoles(regionalRevenue);
+  const names = encoding => ({
+    x: encoding.x && encoding.x.name,
+    measures: encoding.measures.map(column => column.name),
+    series: encoding.series && encoding.series.name
+  });
+  assert.deepEqual(names(inferChartEncoding(columns, 'line')), { x: 'month', measures: ['revenue'], series: 'region' });
+  assert.deepEqual(names(inferChartEncoding(columns, 'pie')), { x: 'month', measures: ['revenue'], series: null });
+  assert.deepEqual(names(inferChartEncoding(columns, 'bar', { x: 'region' })), { x: 'region', measures: ['revenue'], series: 'month' });
+  // Unknown columns and measures used as categories cannot be charted as asked
+  assert.equal(inferChartEncoding(columns, 'bar', { x: 'missing' }), null);
+  assert.equal(inferChartEncoding(columns, 'bar', { y: 'region' }), null);
+  assert.equal(inferChartEncoding(columns, 'bar', { series: 'revenue' }), null);
+});
+
+test('buildChartSpec pivots series and leaves gaps for missing points', () => {
+  const spec = buildChartSpec(regionalRevenue, 'line');
+  assert.equal(spec.title, 'revenue over month by region');
+  assert.deepEqual(spec.labels, ['2024-01', '2024-02']);
+  assert.deepEqual(spec.datasets, [{ label: 'North', data: [100.5, 130] }, { label: 'South', data: [50, null] }]);
+  assert.deepEqual(spec.series, { field: 'region', split: true });
+  assert.equal(spec.stacked, false);
+  assert.equal(buildChartSpec(regionalRevenue, 'stacked_bar').stacked, true);
+});
+
+test('buildChartSpec bins histograms and groups scatter points', () => {
+  const histogram = buildChartSpec(Array.from({ length: 20 }, (_, index) => ({ amount: index })), 'histogram');
+  assert.deepEqual(histogram.x, { field: 'amount', role: 'measure' });
+  assert.equal(histogram.value_field, 'count');
+  assert.equal(histogram.bins.length, histogram.labels.length);
+  assert.equal(histogram.datasets[0].data.reduce((total, count) => total + count, 0), 20);
+
+  const scatter = buildChartSpec([{ a: 1, b: 2 }, { a: 3, b: 4 }], 'scatter');
+  assert.deepEqual(scatter.datasets, [{ label: 'b vs a', data: [{ x: 1, y: 2 }, { x: 3, y: 4 }] }]);
+});
+
+test('buildChartSpec returns null when nothing can be charted', () => {
+  assert.equal(buildChartSpec([], 'bar'), null);
+  assert.equal(buildChartSpec(regionalRevenue, 'radar'), null);
+  assert.equal(buildChartSpec([{ name: 'Ann' }, { name: 'Bob' }], 'bar'), null);
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+process.env.CONNECTION_SECRET_KEY = 'connection-secret-key-for-tests';
+const sqliteDirectory = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-allowed-')));
+process.env.SQLITE_ALLOWED_DIR = sqliteDirectory;
+const { sealConnectionConfig, openConnectionConfig, validateConnectionConfig, createKnexForConfig } = await import('../server.js');
+
+after(() => fs.rmSync(sqliteDirectory, { recursive: true, force: true }));
+
+const config = { dialect: 'postgres', host: 'db.internal', port: 5432, database: 'analytics', user: 'analyst', password: 's3cret', ssl: true };
+
+test('stored connection configs carry the password encrypted only', () => {
+  const stored = sealConnectionConfig(config, 'connection-1');
+  assert.equal(stored.password, undefined);
+  assert.match(stored.password_encrypted, /^v1:/);
+  assert.ok(!JSON.stringify(stored).includes('s3cret'));
+  assert.deepEqual(openConnectionConfig(stored, 'connection-1'), config);
+});
+
+test('encrypted passwords are bound to their connection', () => {
+  const stored = sealConnectionConfig(config, 'connection-1');
+  assert.throws(() => openConnectionConfig(stored, 'connection-2'));
+  const [version, iv, tag, ciphertext] = stored.password_encrypted.split(':');
+  const tampered = Buffer.from(ciphertext, 'base64');
+  tampered[0] ^= 1;
+  assert.throws(() => openConnectionConfig({ ...stored, password_encrypted: [version, iv, tag, tampered.toString('base64')].join(':') }, 'connection-1'));
+});
+
+test('configs without a password and plaintext documents are read as they are', () => {
+  const sqlite = { dialect: 'sqlite', filename: '/data/app.db' };
+  assert.deepEqual(sealConnectionConfig(sqlite, 'connection-1'), sqlite);
+  assert.deepEqual(openConnectionConfig(config, 'connection-1'), config);
+});
+
+test('TLS connections verify the server certificate unless told not to', async () => {
+  const connectionOptions = async body => {
+    const { errors, config: validated } = validateConnectionConfig(body);
+    assert.deepEqual(errors, []);
+    const instance = createKnexForConfig(validated);
+    const { connection } = instance.client.config;
+    await instance.destroy();
+    return connection;
+  };
+  const postgres = { host: 'db.internal', database: 'analytics', user: 'analyst', password: 's3cret', ssl: true };
+  assert.deepEqual((await connectionOptions(postgres)).ssl, { rejectUnauthorized: true });
+  assert.deepEqual((await connectionOptions({ ...postgres, ssl_reject_unauthorized: false })).ssl, { rejectUnauthorized: false });
+  assert.equal((await connectionOptions({ ...postgres, ssl: false })).ssl, undefined);
+
+  const mssql = { ...postgres, dialect: 'mssql' };
+  assert.equal((await connectionOptions(mssql)).options.trustServerCertificate, false);
+  assert.equal((await connectionOptions({ ...mssql, ssl_reject_unauthorized: false })).options.trustServerCertificate, true);
+
+  assert.deepEqual(validateConnectionConfig({ ...postgres, ssl_reject_unauthorized: 'no' }).errors, ['ssl_reject_unauthorized must be a boolean']);
+});
+
+test('SQLite files must be inside SQLITE_ALLOWED_DIR', () => {
+  const sqlite = filename => validateConnectionConfig({ dialect: 'sqlite', filename });
+  assert.equal(sqlite('app.db').config.filename, path.join(sqliteDirectory, 'app.db'));
+  assert.equal(sqlite(path.join(sqliteDirectory, 'data', 'app.db')).errors.length, 0);
+  for (const filename of ['/etc/passwd', '../app.db', sqliteDirectory]) {
+    assert.deepEqual(sqlite(filename).errors, ['filename must be inside SQLITE_ALLOWED_DIR'], filename);
+  }
+  assert.deepEqual(validateConnectionConfig({ connection_string: 'sqlite:///etc/passwd' }).errors, ['filename must be inside SQLITE_ALLOWED_DIR']);
+
+  fs.symlinkSync(os.tmpdir(), path.join(sqliteDirectory, 'outside'));
+  assert.deepEqual(sqlite('outside/app.db').errors, ['filename must be inside SQLITE_ALLOWED_DIR']);
+});
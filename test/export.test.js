@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Writable } from 'stream';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const {
+  encodeResultCursor, decodeResultCursor, inferColumnTypes, escapeCSVField, exportFilename, writeChunk, streamResultExport,
+  createKnexForConfig, resolveDialect
+} = await import('../server.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+let connection;
+
+before(async () => {
+  const config = { dialect: 'sqlite', filename: path.join(directory, 'export.db') };
+  const knex = createKnexForConfig(config);
+  await knex.schema.createTable('customers', table => {
+    table.integer('id').primary();
+    table.string('name');
+    table.float('balance');
+  });
+  await knex('customers').insert([
+    { id: 1, name: 'Ann', balance: 10.5 },
+    { id: 2, name: '=HYPERLINK("x")', balance: -2 },
+    { id: 3, name: 'Smith, "Jo"', balance: null }
+  ]);
+  connection = { id: 'export-test', config, dialect: resolveDialect('sqlite'), knex };
+});
+
+after(async () => {
+  await connection.knex.destroy();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Enough of an Express response for streamResultExport
+function collectingResponse() {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  res.headers = {};
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = headers => Object.assign(res.headers, headers);
+  res.body = () => Buffer.concat(chunks).toString('utf8');
+  return res;
+}
+
+test('result cursors round-trip and reject anything else', () => {
+  assert.equal(decodeResultCursor(encodeResultCursor(250)), 250);
+  assert.equal(decodeResultCursor(undefined), 0);
+  assert.equal(decodeResultCursor('not-a-cursor'), null);
+  assert.equal(decodeResultCursor(Buffer.from(JSON.stringify({ offset: -1 })).toString('base64url')), null);
+});
+
+test('CSV fields are quoted and formulas neutralised', () => {
+  assert.equal(escapeCSVField(null), '');
+  assert.equal(escapeCSVField(12.5), '12.5');
+  assert.equal(escapeCSVField('a,b'), '"a,b"');
+  assert.equal(escapeCSVField('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCSVField('=SUM(A1)'), '\'=SUM(A1)');
+  assert.equal(escapeCSVField(-3), '-3');
+  assert.equal(escapeCSVField({ a: 1 }), '"{""a"":1}"');
+});
+
+test('column types and export filenames', () => {
+  assert.deepEqual(inferColumnTypes([{ n: 1, b: true, d: '2024-01-31', s: 'x', j: { a: 1 } }, { n: 2, b: false, d: null, s: 'y', j: null }]), [
+    { name: 'n', type: 'number' },
+    { name: 'b', type: 'boolean' },
+    { name: 'd', type: 'date' },
+    { name: 's', type: 'string' },
+    { name: 'j', type: 'json' }
+  ]);
+  assert.equal(exportFilename({ question: 'Top 10 customers by revenue?', result_id: 'abc' }, 'csv'), 'top-10-customers-by-revenue.csv');
+  assert.equal(exportFilename({ question: '', result_id: '12345678-aaaa' }, 'xlsx'), 'result-12345678.xlsx');
+});
+
+test('CSV and NDJSON exports stream every row', async () => {
+  const record = { result_id: 'r1', question: 'Customers', sql: 'SELECT id, name, balance FROM customers ORDER BY id' };
+  const csv = collectingResponse();
+  assert.equal(await streamResultExport(record, connection, 'csv', csv), 3);
+  assert.equal(csv.headers['Content-Disposition'], 'attachment; filename="customers.csv"');
+  assert.equal(csv.body(), '﻿id,name,balance\r\n1,Ann,10.5\r\n2,"\'=HYPERLINK(""x"")",-2\r\n3,"Smith, ""Jo""",\r\n');
+
+  const ndjson = collectingResponse();
+  assert.equal(await streamResultExport(record, connection, 'ndjson', ndjson), 3);
+  assert.deepEqual(ndjson.body().trim().split('\n').map(line => JSON.parse(line).id), [1, 2, 3]);
+});
+
+test('writeChunk settles when the client disconnects before draining', async () => {
+  const stalled = new Writable({ highWaterMark: 1, write() {} });
+  const pending = writeChunk(stalled, 'first chunk');
+  stalled.destroy();
+  await assert.rejects(pending, { name: 'ClientDisconnectedError' });
+  await assert.rejects(writeChunk(stalled, 'more'), { name: 'ClientDisconnectedError' });
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { summarizeResults, formatInsightsDigest, selectAnswerRows } = await import('../server.js');
+
+const monthlyRevenue = [
+  { month: '2024-01', region: 'North', revenue: 100 },
+  { month: '2024-02', region: 'South', revenue: 150 },
+  { month: '2024-03', region: 'North', revenue: 120 }
+];
+
+test('summarizeResults computes column statistics, rankings and trends', () => {
+  const insights = summarizeResults(monthlyRevenue, { truncated: true });
+  assert.equal(insights.row_count, 3);
+  assert.equal(insights.truncated, true);
+  assert.deepEqual(insights.columns.map(column => [column.name, column.role]),
+    [['month', 'temporal'], ['region', 'dimension'], ['revenue', 'measure']]);
+
+  const revenue = insights.columns.find(column => column.name === 'revenue');
+  assert.deepEqual({ min: revenue.min, max: revenue.max, sum: revenue.sum, mean: revenue.mean, median: revenue.median },
+    { min: 100, max: 150, sum: 370, mean: 123.3333, median: 120 });
+  assert.deepEqual(insights.columns.find(column => column.name === 'region').top_values,
+    [{ value: 'North', count: 2 }, { value: 'South', count: 1 }]);
+
+  const [ranking] = insights.rankings;
+  assert.deepEqual(ranking.top, [{ value: 'North', total: 220, share_pct: 59.46 }, { value: 'South', total: 150, share_pct: 40.54 }]);
+
+  const [trend] = insights.trends;
+  assert.equal(trend.periods, 3);
+  assert.deepEqual(trend.first, { period: '2024-01', value: 100 });
+  assert.deepEqual(trend.peak, { period: '2024-02', value: 150 });
+  assert.equal(trend.change_pct, 20);
+  assert.equal(trend.latest_change, -30);
+});
+
+test('summarizeResults of no rows is empty', () => {
+  assert.deepEqual(summarizeResults([]), { row_count: 0, truncated: false, columns: [], rankings: [], trends: [] });
+});
+
+test('formatInsightsDigest quotes the computed numbers', () => {
+  const digest = formatInsightsDigest(summarizeResults(monthlyRevenue, { truncated: true }));
+  assert.match(digest, /^Rows returned: 3 \(capped/);
+  assert.match(digest, /revenue \(measure\): 3 distinct, 0 null; min 100, max 150, sum 370/);
+  assert.match(digest, /revenue by region \(2 categories\), highest: North 220 \(59\.46%\)/);
+  assert.match(digest, /2024-01 100 -> 2024-03 120 \(20%\)/);
+});
+
+test('selectAnswerRows keeps the extremes of large results', () => {
+  const rows = Array.from({ length: 50 }, (_, index) => ({ id: `row ${index}`, amount: index === 40 ? 1000 : index + 1 }));
+  const { text, shown, partial } = selectAnswerRows(rows, summarizeResults(rows));
+  assert.equal(partial, true);
+  assert.ok(shown <= 20);
+  assert.match(text, /"amount":1000/);
+  assert.match(text, /"amount":1\b/);
+
+  const small = selectAnswerRows(monthlyRevenue, summarizeResults(monthlyRevenue));
+  assert.deepEqual(small, { text: monthlyRevenue.map(row => JSON.stringify(row)).join('\n'), shown: 3, partial: false });
+});
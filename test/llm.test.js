@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+process.env.MISTRAL_MODEL = 'default/model';
+process.env.LLM_ALLOWED_MODELS = 'vendor/fast, vendor/large';
+delete process.env.LLM_ALLOW_REQUEST_MOCK;
+const { checkLLMOptions } = await import('../server.js');
+
+const user = { id: 'bob', role: 'user' };
+const admin = { id: 'root', role: 'admin' };
+
+test('requests may pick allowed and default models only', () => {
+  assert.equal(checkLLMOptions(undefined, user), null);
+  assert.equal(checkLLMOptions({ models: { sql: 'vendor/large', answer: 'default/model' } }, user), null);
+  assert.match(checkLLMOptions({ models: { sql: 'vendor/expensive' } }, user), /Model vendor\/expensive for step sql is not allowed/);
+  assert.equal(checkLLMOptions({ models: { sql: 'vendor/expensive' } }, admin), null);
+});
+
+test('the mock provider and scripts are reserved to admins', () => {
+  assert.match(checkLLMOptions({ provider: 'mock' }, user), /require the admin role/);
+  assert.match(checkLLMOptions({ script: { sql: 'SELECT 1;' } }, user), /require the admin role/);
+  assert.equal(checkLLMOptions({ provider: 'mock', script: { sql: 'SELECT 1;' } }, admin), null);
+  assert.equal(checkLLMOptions({ provider: 'openai_compatible' }, user), null);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const {
+  guardSQLStatement, describeOuterSelect, readResultRows, createKnexForConfig, resolveDialect
+} = await import('../server.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'paging-test-'));
+let connection;
+
+before(async () => {
+  const config = { dialect: 'sqlite', filename: path.join(directory, 'paging.db') };
+  const knex = createKnexForConfig(config);
+  await knex.schema.createTable('items', table => {
+    table.integer('id').primary();
+    table.string('name');
+  });
+  await knex('items').insert(Array.from({ length: 7 }, (_, i) => ({ id: i + 1, name: `item ${i + 1}` })));
+  connection = { id: 'paging-test', config, dialect: resolveDialect('sqlite'), knex };
+});
+
+after(async () => {
+  await connection.knex.destroy();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('describeOuterSelect names the outer select items', () => {
+  const shape = describeOuterSelect(
+    'SELECT a.id, b.name AS label, COUNT(*) total, (SELECT 1) AS one, x.*, UPPER(b.name) FROM a JOIN b ON a.id = b.id ORDER BY a.id',
+    resolveDialect('postgres')
+  );
+  assert.deepEqual(shape.columns, ['id', 'label', 'total', 'one', null, null]);
+  assert.equal(shape.orderBy, true);
+  assert.equal(shape.limited, false);
+
+  const mssql = resolveDialect('mssql');
+  assert.equal(describeOuterSelect('SELECT TOP 5 [id] FROM t', mssql).top, true);
+  assert.equal(describeOuterSelect('SELECT id, ROW_NUMBER() OVER (ORDER BY id) AS n FROM t', mssql).orderBy, false);
+});
+
+test('guardSQLStatement rejects duplicate output column names', () => {
+  const mysql = resolveDialect('mysql');
+  assert.throws(() => guardSQLStatement('SELECT a.id, b.id FROM a JOIN b ON a.b_id = b.id', mysql),
+    error => error.code === 'duplicate_column' && error.details.column === 'id');
+  assert.throws(() => guardSQLStatement('SELECT id, name AS ID FROM a', mysql), { code: 'duplicate_column' });
+  assert.equal(guardSQLStatement('SELECT a.id, b.id AS b_id FROM a JOIN b ON a.b_id = b.id', mysql),
+    'SELECT a.id, b.id AS b_id FROM a JOIN b ON a.b_id = b.id');
+  // Only the outer list matters
+  assert.doesNotThrow(() => guardSQLStatement('SELECT id FROM (SELECT id, id AS id2 FROM a) t WHERE id IN (SELECT id FROM b)', mysql));
+});
+
+test('SQL Server pages use OFFSET ... FETCH', () => {
+  const { pageQuery } = resolveDialect('mssql');
+  assert.equal(pageQuery('SELECT id FROM t ORDER BY id', 11, 20), 'SELECT id FROM t ORDER BY id\nOFFSET 20 ROWS FETCH NEXT 11 ROWS ONLY');
+  assert.equal(pageQuery('SELECT id FROM t', 11, 0), 'SELECT id FROM t\nORDER BY (SELECT NULL) OFFSET 0 ROWS FETCH NEXT 11 ROWS ONLY');
+  assert.equal(pageQuery('SELECT TOP 10 id FROM t ORDER BY id', 11, 0), null);
+  assert.equal(pageQuery('SELECT id FROM t ORDER BY id OFFSET 5 ROWS', 11, 0), null);
+});
+
+test('readResultRows reads one page and reports whether more rows exist', async () => {
+  const record = { sql: 'SELECT id, name FROM items ORDER BY id' };
+  const first = await readResultRows(record, connection, { offset: 0, limit: 3 });
+  assert.deepEqual(first.rows.map(row => row.id), [1, 2, 3]);
+  assert.equal(first.has_more, true);
+  const last = await readResultRows(record, connection, { offset: 6, limit: 3 });
+  assert.deepEqual(last.rows.map(row => row.id), [7]);
+  assert.equal(last.has_more, false);
+});
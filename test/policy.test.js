@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const {
+  analyzeSQLReferences, enforceSQLPolicy, applyRowPolicy, validateConnectionPolicy, createKnexForConfig, resolveDialect
+} = await import('../server.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-test-'));
+let connection;
+
+function withPolicy(policy) {
+  const { errors, policy: validated } = validateConnectionPolicy(policy);
+  assert.deepEqual(errors, []);
+  return { ...connection, config: { ...connection.config, policy: validated } };
+}
+
+const denySSN = () => withPolicy({ columns: { deny: ['employees.ssn'] } });
+const maskEmail = () => withPolicy({ masks: [{ column: 'employees.email', rule: 'partial' }] });
+
+async function rejects(sql, conn, code) {
+  await assert.rejects(enforceSQLPolicy(sql, conn), error => error.name === 'SQLGuardError' && error.code === code, sql);
+}
+
+before(async () => {
+  const config = { dialect: 'sqlite', filename: path.join(directory, 'policy.db') };
+  const knex = createKnexForConfig(config);
+  await knex.schema.createTable('employees', table => {
+    table.integer('id').primary();
+    table.string('name');
+    table.string('email');
+    table.string('ssn');
+    table.integer('department_id');
+  });
+  await knex.schema.createTable('departments', table => {
+    table.integer('id').primary();
+    table.string('name');
+    table.string('departments');
+  });
+  await knex.schema.createTable('salaries', table => {
+    table.integer('employee_id');
+    table.integer('amount');
+  });
+  connection = { id: 'policy-test', config, dialect: resolveDialect('sqlite'), knex };
+});
+
+after(async () => {
+  await connection.knex.destroy();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('analyzeSQLReferences records tables, aliases and plain select items', () => {
+  const { refs, stars, relations } = analyzeSQLReferences(
+    'SELECT e.name, d.name AS department, * FROM employees e JOIN departments AS d ON d.id = e.department_id',
+    resolveDialect('postgres')
+  );
+  assert.deepEqual(refs.filter(ref => ref.table).map(ref => ref.parts.join('.')), ['employees', 'departments']);
+  assert.deepEqual([...relations].sort(), ['d', 'departments', 'e', 'employees']);
+  assert.ok(refs.find(ref => ref.parts.join('.') === 'e.name').plain);
+  assert.ok(!refs.find(ref => ref.parts.join('.') === 'd.name').plain);
+  assert.ok(!refs.some(ref => ['e', 'd'].includes(ref.parts.join('.'))), 'aliases are not column references');
+  assert.equal(stars.length, 1);
+  assert.ok(stars[0].plain);
+});
+
+test('analyzeSQLReferences records derived table aliases and skips CTE names', () => {
+  const { refs, relations } = analyzeSQLReferences(
+    'WITH recent AS (SELECT id FROM employees) SELECT t.id FROM (SELECT id FROM recent) t',
+    resolveDialect('postgres')
+  );
+  assert.ok(relations.has('t'));
+  assert.ok(!refs.some(ref => !ref.table && ref.parts.join('.') === 'recent'));
+});
+
+test('denied columns cannot be selected, filtered or expanded with *', async () => {
+  const conn = denySSN();
+  await enforceSQLPolicy('SELECT id, name FROM employees', conn);
+  await rejects('SELECT ssn FROM employees', conn, 'column_not_allowed');
+  await rejects('SELECT id FROM employees WHERE e.ssn = \'1\'', conn, 'column_not_allowed');
+  await rejects('SELECT * FROM employees', conn, 'column_not_allowed');
+  await rejects('SELECT e.* FROM employees e', conn, 'column_not_allowed');
+});
+
+test('masked columns can only be selected as plain items', async () => {
+  const conn = maskEmail();
+  await enforceSQLPolicy('SELECT email FROM employees', conn);
+  await enforceSQLPolicy('SELECT * FROM employees', conn);
+  await rejects('SELECT lower(email) FROM employees', conn, 'masked_column_restricted');
+  await rejects('SELECT id FROM employees ORDER BY email', conn, 'masked_column_restricted');
+  await rejects('SELECT email AS contact FROM employees', conn, 'masked_column_restricted');
+});
+
+test('whole-row references to tables with denied columns are rejected', async () => {
+  const conn = denySSN();
+  await rejects('SELECT row_to_json(e) FROM employees e', conn, 'column_not_allowed');
+  await rejects('SELECT to_jsonb(e) FROM employees AS e', conn, 'column_not_allowed');
+  await rejects('SELECT e FROM employees e', conn, 'column_not_allowed');
+  await rejects('SELECT employees FROM employees', conn, 'column_not_allowed');
+  await rejects('SELECT (e).ssn FROM employees e', conn, 'column_not_allowed');
+  await rejects('SELECT json_agg(e) FROM employees e JOIN departments d ON d.id = e.department_id', conn, 'column_not_allowed');
+  await rejects('SELECT row_to_json(t) FROM (SELECT id FROM employees) t', conn, 'column_not_allowed');
+});
+
+test('whole-row references to tables with masked columns are rejected', async () => {
+  const conn = maskEmail();
+  await rejects('SELECT row_to_json(e) FROM employees e', conn, 'masked_column_restricted');
+  await rejects('SELECT to_jsonb(e) FROM employees e', conn, 'masked_column_restricted');
+  await rejects('SELECT e FROM employees e', conn, 'masked_column_restricted');
+  await rejects('SELECT row_to_json(e.*) FROM employees e', conn, 'masked_column_restricted');
+  await rejects('SELECT row_to_json(t) FROM (SELECT * FROM employees) t', conn, 'masked_column_restricted');
+});
+
+test('whole-row references are allowed when no restricted table is read', async () => {
+  const conn = denySSN();
+  await enforceSQLPolicy('SELECT row_to_json(s) FROM salaries s', conn);
+  await enforceSQLPolicy('SELECT s FROM salaries s', conn);
+});
+
+test('a column named like its table is not a whole-row reference', async () => {
+  const conn = withPolicy({ columns: { deny: ['departments.id'] } });
+  await enforceSQLPolicy('SELECT departments FROM departments', conn);
+  await rejects('SELECT row_to_json(d) FROM departments d', conn, 'column_not_allowed');
+});
+
+test('hidden tables are rejected', async () => {
+  const conn = withPolicy({ tables: { deny: ['salaries'] } });
+  await rejects('SELECT amount FROM salaries', conn, 'table_not_allowed');
+  await rejects('SELECT e.id FROM employees e, salaries s', conn, 'table_not_allowed');
+});
+
+test('applyRowPolicy drops and masks columns, including inside JSON values', () => {
+  const conn = withPolicy({ columns: { deny: ['employees.ssn'] }, masks: [{ column: 'employees.email', rule: 'redact' }] });
+  const rows = applyRowPolicy([
+    { id: 1, email: 'ann@example.com', ssn: '123', profile: { email: 'ann@example.com', ssn: '123', tags: [{ ssn: '1' }] } }
+  ], 'SELECT id, email, ssn, profile FROM employees', conn);
+  assert.deepEqual(rows, [{ id: 1, email: '[REDACTED]', profile: { email: '[REDACTED]', tags: [{}] } }]);
+});
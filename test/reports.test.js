@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { registerConnection, closeConnection, validateReport } = await import('../server.js');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-test-'));
+const alice = { id: 'alice', role: 'user' };
+const bob = { id: 'bob', role: 'user' };
+let aliceConnection;
+let bobConnection;
+
+before(async () => {
+  aliceConnection = await registerConnection({ dialect: 'sqlite', filename: path.join(directory, 'alice.db') }, alice.id);
+  bobConnection = await registerConnection({ dialect: 'sqlite', filename: path.join(directory, 'bob.db') }, bob.id);
+});
+
+after(async () => {
+  await closeConnection(aliceConnection.id);
+  await closeConnection(bobConnection.id);
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const storedReport = () => ({
+  id: 'report-1',
+  owner_id: bob.id,
+  title: 'Orders',
+  connection_id: bobConnection.id,
+  items: [
+    { id: 'item-1', type: 'query', title: 'Count', sql: 'SELECT 1 AS one', connection_id: null, chart: null, last_result: { result_count: 1 }, last_error: null },
+    { id: 'item-2', type: 'text', title: null, content: 'Notes' }
+  ]
+});
+
+test('a report can only use connections its owner can access', async () => {
+  const { errors } = await validateReport({ title: 'Orders', connection_id: aliceConnection.id }, null, bob);
+  assert.deepEqual(errors, [`connection_id: connection ${aliceConnection.id} not found`]);
+  assert.deepEqual((await validateReport({ title: 'Orders', connection_id: bobConnection.id }, null, bob)).errors, []);
+  assert.deepEqual((await validateReport({ title: 'Orders', connection_id: aliceConnection.id }, null, { id: 'root', role: 'admin' })).errors, []);
+});
+
+test('changing only the report connection is checked and re-validates its items', async () => {
+  const rejected = await validateReport({ connection_id: aliceConnection.id }, storedReport(), bob);
+  assert.ok(rejected.errors.includes(`connection_id: connection ${aliceConnection.id} not found`));
+  assert.ok(rejected.errors.some(error => error.startsWith('items[0].connection_id')));
+
+  const own = await registerConnection({ dialect: 'sqlite', filename: path.join(directory, 'bob-2.db') }, bob.id);
+  try {
+    const { errors, report } = await validateReport({ connection_id: own.id }, storedReport(), bob);
+    assert.deepEqual(errors, []);
+    assert.equal(report.items.length, 2);
+    assert.equal(report.items[0].last_result, null, 'moving an item to another connection clears its result');
+    assert.equal(report.items[1].content, 'Notes');
+  } finally {
+    await closeConnection(own.id);
+  }
+});
+
+test('unchanged items keep their last result', async () => {
+  const existing = storedReport();
+  const { errors, report } = await validateReport({ items: existing.items }, existing, bob);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(report.items[0].last_result, { result_count: 1 });
+});
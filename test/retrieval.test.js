@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { stemToken, tokenizeForRetrieval, buildTableIndex, rankTables, retrieveTablesLocally } = await import('../server.js');
+
+const column = (name, comment = null) => ({ name, comment });
+const snapshot = {
+  tables: [
+    { name: 'customers', comment: 'People who buy from the shop', columns: [column('id'), column('email'), column('full_name')] },
+    { name: 'orders', comment: null, columns: [column('id'), column('customer_id'), column('totalAmount'), column('created_at')] },
+    { name: 'order_items', comment: null, columns: [column('order_id'), column('product_id'), column('quantity')] },
+    { name: 'products', comment: 'Catalogue', columns: [column('id'), column('name'), column('category')] },
+    { name: 'audit_events', comment: null, columns: [column('id'), column('payload')] }
+  ]
+};
+const index = buildTableIndex(snapshot);
+
+test('identifiers are split, lowercased and stemmed', () => {
+  assert.equal(stemToken('categories'), 'category');
+  assert.equal(stemToken('boxes'), 'box');
+  assert.equal(stemToken('orders'), 'order');
+  assert.equal(stemToken('status'), 'status');
+  assert.deepEqual(tokenizeForRetrieval('totalAmount of order_items'), ['total', 'amount', 'order', 'item']);
+  assert.deepEqual(tokenizeForRetrieval('Show me all the customers'), ['customer']);
+});
+
+test('tables named after the question terms rank first', () => {
+  const ranking = rankTables('How many orders were placed?', index);
+  assert.deepEqual(ranking.slice(0, 2).map(result => result.name).sort(), ['order_items', 'orders']);
+  assert.ok(!ranking.some(result => result.name === 'audit_events'));
+  assert.equal(rankTables('customer emails', index)[0].name, 'customers');
+  assert.deepEqual(rankTables('weather forecast', index), []);
+});
+
+test('synonyms find tables the question does not name', () => {
+  assert.equal(rankTables('top clients by email', index)[0].name, 'customers');
+  assert.equal(rankTables('list every item in the catalogue', index)[0].name, 'products');
+});
+
+test('local retrieval keeps close matches and falls back to the previous turn', () => {
+  const ranking = rankTables('orders by customer', index);
+  const selected = retrieveTablesLocally('orders by customer', ranking);
+  assert.ok(selected.includes('orders'));
+  assert.ok(selected.length <= 3);
+  assert.ok(selected.every(name => ranking.find(result => result.name === name).score >= ranking[0].score * 0.5));
+
+  const history = [{ tables_used: ['products'] }];
+  assert.deepEqual(retrieveTablesLocally('show more', [], history), ['products']);
+  assert.deepEqual(retrieveTablesLocally('weather tomorrow', [], history), []);
+});
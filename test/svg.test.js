@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { generateChartData, renderChartSVG } = await import('../server.js');
+
+const revenue = [{ region: 'North', revenue: 100 }, { region: 'South', revenue: 50 }];
+
+test('renderChartSVG draws every chart type as a standalone document', () => {
+  const charts = {
+    bar: generateChartData(revenue, 'bar'),
+    line: generateChartData(revenue, 'line'),
+    pie: generateChartData(revenue, 'pie'),
+    scatter: generateChartData([{ a: 1, b: 2 }, { a: 3, b: 4 }], 'scatter'),
+    histogram: generateChartData([{ amount: 1 }, { amount: 5 }, { amount: 9 }], 'histogram')
+  };
+  for (const [type, chart] of Object.entries(charts)) {
+    const svg = renderChartSVG(chart);
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="720" height="400"/, type);
+    assert.ok(svg.endsWith('</svg>'), type);
+  }
+  assert.match(renderChartSVG(charts.bar, { width: 300, height: 200 }), /viewBox="0 0 300 200"/);
+});
+
+test('renderChartSVG draws one bar per value and a legend for several series', () => {
+  const single = renderChartSVG(generateChartData(revenue, 'bar'));
+  // The background plus one bar per region
+  assert.equal(single.match(/<rect /g).length, 3);
+
+  const grouped = renderChartSVG(generateChartData([
+    { month: '2024-01', channel: 'web', orders: 1 },
+    { month: '2024-01', channel: 'store', orders: 2 }
+  ], 'bar', { x: 'month' }));
+  // Background, two legend swatches and two bars
+  assert.equal(grouped.match(/<rect /g).length, 5);
+  assert.match(grouped, />web</);
+  assert.match(grouped, />store</);
+});
+
+test('renderChartSVG escapes titles and labels', () => {
+  const svg = renderChartSVG(generateChartData([
+    { region: '<North & co>', revenue: 100 },
+    { region: 'South', revenue: 50 }
+  ], 'bar', { title: '<script>alert(1)</script>' }));
+  assert.ok(svg.includes('&lt;North &amp; co&gt;'));
+  assert.ok(svg.includes('&lt;script&gt;'));
+  assert.ok(!svg.includes('<script'));
+  assert.ok(!svg.includes('<North'));
+});
+
+test('renderChartSVG returns null for configs it cannot draw', () => {
+  assert.equal(renderChartSVG(null), null);
+  assert.equal(renderChartSVG({ type: 'bar', data: { datasets: [] } }), null);
+  assert.equal(renderChartSVG({ type: 'radar', data: { labels: ['a'], datasets: [{ data: [1] }] } }), null);
+});
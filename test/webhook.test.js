@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Keep server.js from listening or connecting to MongoDB on import
+process.env.AWS_LAMBDA_FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || 'test';
+const { checkWebhookURL } = await import('../server.js');
+
+test('webhooks must use https', async () => {
+  assert.equal(await checkWebhookURL('http://8.8.8.8/hook'), 'webhook_url must be an https URL');
+  assert.equal(await checkWebhookURL('not a url'), 'webhook_url must be an https URL');
+});
+
+test('webhooks cannot reach private, loopback or link-local addresses', async () => {
+  for (const url of [
+    'https://127.0.0.1/', 'https://localhost/', 'https://10.1.2.3/', 'https://172.16.0.1/', 'https://192.168.1.1/',
+    'https://169.254.169.254/latest/meta-data', 'https://100.64.0.1/', 'https://0.0.0.0/',
+    'https://[::1]/', 'https://[::ffff:127.0.0.1]/', 'https://[fd00::1]/', 'https://[fe80::1]/',
+    // 6to4 embedding 127.0.0.1, Teredo, NAT64 and documentation addresses
+    'https://[2002:7f00:1::]/', 'https://[2001:0:4136:e378:8000:63bf:3fff:fdd2]/', 'https://[64:ff9b::7f00:1]/',
+    'https://[2001:db8::1]/', 'https://192.0.2.10/'
+  ]) {
+    assert.match(await checkWebhookURL(url), /private or reserved address/, url);
+  }
+});
+
+test('webhooks may reach public addresses', async () => {
+  assert.equal(await checkWebhookURL('https://8.8.8.8/hook'), null);
+  assert.equal(await checkWebhookURL('https://[2001:4860:4860::8888]/hook'), null);
+});